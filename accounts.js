@@ -0,0 +1,186 @@
+// Prepaid accounts on top of x402. A wallet deposits once through the top-up
+// route (a normal x402 payment) and gets an API key; paid routes called with
+// that key are debited from the account balance instead of settling a payment
+// every time. Calls that fail are refunded to the balance.
+//
+// Accounts are keyed by wallet address and only a hash of each API key is
+// stored. Amounts are strings in USD atomic units.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { walletKey } = require('./paymentOptions');
+
+const ACCOUNTS_DIR = process.env.ACCOUNTS_DIR || path.join(process.cwd(), 'data', 'accounts');
+const MAX_USAGE_ENTRIES = 200;
+const API_KEY_PREFIX = 'rk_';
+
+function timestamp() {
+  return new Date().toISOString();
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+function publicAccount(account) {
+  const { wallet, keyPrefix, balance, createdAt, updatedAt, totals } = account;
+  return { wallet, keyPrefix, balance, createdAt, updatedAt, totals };
+}
+
+function createAccountLedger({ dir = ACCOUNTS_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const accountsFile = path.join(dir, 'accounts.json');
+
+  const accounts = new Map();
+  const keys = new Map();
+  if (fs.existsSync(accountsFile)) {
+    for (const account of Object.values(JSON.parse(fs.readFileSync(accountsFile, 'utf8')))) {
+      accounts.set(account.wallet, account);
+      keys.set(account.keyHash, account.wallet);
+    }
+  }
+
+  // Balances change synchronously; concurrent changes share one file write
+  let writing = null;
+  let dirty = false;
+  async function flush() {
+    try {
+      while (dirty) {
+        dirty = false;
+        const temp = `${accountsFile}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(Object.fromEntries(accounts)));
+        await fs.promises.rename(temp, accountsFile);
+      }
+    } finally {
+      writing = null;
+    }
+  }
+  function persist() {
+    dirty = true;
+    if (!writing) {
+      writing = flush();
+    }
+    return writing;
+  }
+
+  function record(account, entry) {
+    account.usage = [...account.usage, { ...entry, balance: account.balance, at: timestamp() }].slice(-MAX_USAGE_ENTRIES);
+    account.updatedAt = timestamp();
+  }
+
+  function add(a, b) {
+    return String(BigInt(a) + BigInt(b));
+  }
+
+  function issueKey(account) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    keys.delete(account.keyHash);
+    account.keyHash = hashKey(key);
+    account.keyPrefix = key.slice(0, API_KEY_PREFIX.length + 6);
+    keys.set(account.keyHash, account.wallet);
+    return key;
+  }
+
+  // A new account, or rotateKey, returns a fresh API key; it is shown only here
+  async function topUp({ wallet, amount, transaction, network, rotateKey = false }) {
+    if (!wallet) {
+      throw new Error('A top-up needs the paying wallet');
+    }
+    const id = walletKey(wallet);
+    let account = accounts.get(id);
+    let apiKey = null;
+    if (!account) {
+      account = {
+        wallet: id,
+        keyHash: null,
+        keyPrefix: null,
+        balance: '0',
+        createdAt: timestamp(),
+        updatedAt: timestamp(),
+        totals: { toppedUp: '0', spent: '0', refunded: '0', calls: 0 },
+        routes: {},
+        usage: []
+      };
+      accounts.set(id, account);
+      apiKey = issueKey(account);
+    } else if (rotateKey) {
+      apiKey = issueKey(account);
+    }
+    account.balance = add(account.balance, amount);
+    account.totals.toppedUp = add(account.totals.toppedUp, amount);
+    record(account, { type: 'top-up', amount: String(amount), transaction: transaction || null, network: network || null });
+    await persist();
+    return { account: publicAccount(account), apiKey };
+  }
+
+  function findByKey(key) {
+    const wallet = isApiKey(key) ? keys.get(hashKey(key)) : null;
+    return wallet ? accounts.get(wallet) : null;
+  }
+
+  // Returns { accountId, amount, balance } or { error }
+  async function charge(key, amount, route) {
+    const account = findByKey(key);
+    if (!account) {
+      return { error: 'Unknown API key' };
+    }
+    if (!/^\d+$/.test(String(amount))) {
+      return { error: 'This request could not be priced for an account' };
+    }
+    if (BigInt(account.balance) < BigInt(amount)) {
+      return { error: `Account balance ${account.balance} does not cover the price ${amount}; top up at /api/account/top-up` };
+    }
+    account.balance = String(BigInt(account.balance) - BigInt(amount));
+    account.totals.spent = add(account.totals.spent, amount);
+    account.totals.calls += 1;
+    const routeTotals = account.routes[route] || { calls: 0, spent: '0' };
+    account.routes[route] = { calls: routeTotals.calls + 1, spent: add(routeTotals.spent, amount) };
+    record(account, { type: 'debit', route, amount: String(amount) });
+    await persist();
+    return { accountId: account.wallet, amount: String(amount), balance: account.balance };
+  }
+
+  async function refund(accountId, amount, route) {
+    const account = accounts.get(accountId);
+    if (!account) {
+      return null;
+    }
+    account.balance = add(account.balance, amount);
+    account.totals.refunded = add(account.totals.refunded, amount);
+    record(account, { type: 'refund', route, amount: String(amount) });
+    await persist();
+    return { accountId, refunded: String(amount), balance: account.balance };
+  }
+
+  function lookup(key) {
+    const account = findByKey(key);
+    return account ? publicAccount(account) : null;
+  }
+
+  // Most recent entries first, plus per-route totals
+  function usage(key, limit = 50) {
+    const account = findByKey(key);
+    if (!account) {
+      return null;
+    }
+    return {
+      wallet: account.wallet,
+      balance: account.balance,
+      totals: account.totals,
+      routes: account.routes,
+      entries: account.usage.slice(-limit).reverse()
+    };
+  }
+
+  function stats() {
+    return { accounts: accounts.size };
+  }
+
+  return { topUp, charge, refund, lookup, usage, stats };
+}
+
+module.exports = { createAccountLedger, isApiKey, MAX_USAGE_ENTRIES };
@@ -0,0 +1,248 @@
+// Backtester for the trading-analysis signal. Replays evaluateSignal bar by
+// bar over historical candles, using the same lookback the live endpoint uses.
+const { TIMEFRAME_MS, getMarketDataProvider, listMarketDataSources } = require('./marketData');
+const { evaluateSignal, CANDLE_LOOKBACK } = require('./tradingAnalysis');
+
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_HORIZON = 12;
+const MAX_HORIZON = 100;
+const MAX_BACKTEST_CANDLES = 2000;
+const MAX_EQUITY_POINTS = 200;
+// Historical order books are not available, so only candle-based levels replay
+const BACKTEST_LEVEL_SOURCES = ['candles', 'pivots'];
+
+function round(value, decimals = 4) {
+  if (value == null || !Number.isFinite(value)) {
+    return null;
+  }
+  return Number(value.toFixed(decimals));
+}
+
+// Accepts epoch milliseconds or anything Date.parse understands
+function parseTime(value) {
+  if (value == null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+// code says what kind of failure it is (see statusForResult in index.js)
+function backtestError(symbol, code, error, extra = {}) {
+  return { symbol, error, code, ...extra, timestamp: new Date().toISOString() };
+}
+
+function summarizeReturns(returns, direction) {
+  if (!returns.length) {
+    return { count: 0, hitRate: null, avgForwardReturn: null };
+  }
+  const avg = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const hits = direction === 0
+    ? null
+    : returns.filter(r => (direction > 0 ? r > 0 : r < 0)).length / returns.length;
+  return {
+    count: returns.length,
+    hitRate: round(hits, 4),
+    avgForwardReturn: round(avg * 100, 4)
+  };
+}
+
+function directionForTrend(trend) {
+  return trend === 'bullish' ? 1 : trend === 'bearish' ? -1 : 0;
+}
+
+function downsample(points, maxPoints) {
+  if (points.length <= maxPoints) {
+    return points;
+  }
+  const step = (points.length - 1) / (maxPoints - 1);
+  const sampled = [];
+  for (let i = 0; i < maxPoints; i++) {
+    sampled.push(points[Math.round(i * step)]);
+  }
+  return sampled;
+}
+
+// Core replay over an in-memory candle array; exported for offline use.
+//
+// For every bar after the warm-up the signal is evaluated on the trailing
+// `lookback` candles at that bar's close, then scored against the close
+// `horizon` bars later. The equity curve holds +1 / -1 / 0 exposure by trend
+// from one bar's close to the next, paying feeBps on every position change.
+function runBacktest(candles, { horizon = DEFAULT_HORIZON, lookback = CANDLE_LOOKBACK, levelsSource = 'candles', feeBps = 0 } = {}) {
+  const closes = candles.map(c => parseFloat(c.c));
+  const byTrend = { bullish: [], bearish: [], neutral: [] };
+  const byRecommendation = {};
+  const directional = [];
+
+  let equity = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let position = 0;
+  let trades = 0;
+  const equityCurve = [];
+
+  for (let i = lookback - 1; i < candles.length - 1; i++) {
+    const window = candles.slice(i - lookback + 1, i + 1);
+    const { trend, recommendation } = evaluateSignal(window, closes[i], {
+      levelsSource,
+      includeLevels: levelsSource === 'pivots'
+    });
+    const direction = directionForTrend(trend);
+
+    if (i + horizon < candles.length) {
+      const forwardReturn = (closes[i + horizon] - closes[i]) / closes[i];
+      byTrend[trend].push(forwardReturn);
+      if (!byRecommendation[recommendation]) {
+        byRecommendation[recommendation] = { direction, returns: [] };
+      }
+      byRecommendation[recommendation].returns.push(forwardReturn);
+      if (direction !== 0) {
+        directional.push(direction * forwardReturn > 0);
+      }
+    }
+
+    if (direction !== position) {
+      equity *= 1 - (Math.abs(direction - position) * feeBps) / 10000;
+      position = direction;
+      trades += 1;
+    }
+    equity *= 1 + position * ((closes[i + 1] - closes[i]) / closes[i]);
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+    equityCurve.push({ time: new Date(Number(candles[i + 1].t)).toISOString(), equity: round(equity, 6) });
+  }
+
+  const recommendations = {};
+  for (const [name, { direction, returns }] of Object.entries(byRecommendation)) {
+    recommendations[name] = summarizeReturns(returns, direction);
+  }
+
+  const firstClose = closes[lookback - 1];
+  const lastClose = closes[closes.length - 1];
+
+  return {
+    barsEvaluated: equityCurve.length,
+    hitRate: directional.length
+      ? round(directional.filter(Boolean).length / directional.length, 4)
+      : null,
+    signals: {
+      bullish: summarizeReturns(byTrend.bullish, 1),
+      bearish: summarizeReturns(byTrend.bearish, -1),
+      neutral: summarizeReturns(byTrend.neutral, 0)
+    },
+    recommendations,
+    strategy: {
+      totalReturn: round((equity - 1) * 100, 4),
+      buyAndHoldReturn: round(((lastClose - firstClose) / firstClose) * 100, 4),
+      maxDrawdown: round(maxDrawdown * 100, 4),
+      positionChanges: trades,
+      feeBps
+    },
+    equityCurve: downsample(equityCurve, MAX_EQUITY_POINTS)
+  };
+}
+
+// Without `end` the window closes at the last bar boundary rather than now,
+// so the price quoted in a 402 and the one checked on the paid retry cover
+// the same bars unless a new bar opens in between
+function resolveWindow(timeframe, start, end) {
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  const now = Date.now();
+  const endTime = parseTime(end) ?? (intervalMs ? now - (now % intervalMs) : now);
+  const startTime = parseTime(start) ?? endTime - DEFAULT_RANGE_DAYS * 86400000;
+  return { startTime, endTime };
+}
+
+// Bars evaluated for a request, not counting warm-up, with the same defaults
+// as getBacktest; null when the range is invalid. Used to quote the price.
+function countBacktestBars({ timeframe = '1h', start, end } = {}) {
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  const { startTime, endTime } = resolveWindow(timeframe, start, end);
+  if (!intervalMs || !Number.isFinite(startTime) || !Number.isFinite(endTime) || startTime >= endTime) {
+    return null;
+  }
+  return Math.min(Math.ceil((endTime - startTime) / intervalMs), MAX_BACKTEST_CANDLES);
+}
+
+async function getBacktest(symbol, { timeframe = '1h', start, end, horizon = DEFAULT_HORIZON, levelsSource = 'candles', feeBps = 0, source } = {}) {
+  const provider = getMarketDataProvider(source);
+  if (!provider) {
+    return backtestError(symbol, 'invalid_request', `Unknown market data source ${source}`, {
+      supportedSources: listMarketDataSources()
+    });
+  }
+  if (!provider.timeframes.includes(timeframe)) {
+    return backtestError(symbol, 'invalid_request', `Unsupported timeframe ${timeframe} for ${provider.label}`, {
+      supportedTimeframes: provider.timeframes
+    });
+  }
+  if (!BACKTEST_LEVEL_SOURCES.includes(levelsSource)) {
+    return backtestError(symbol, 'invalid_request', `Unsupported levelsSource ${levelsSource} for backtests`, {
+      supportedLevelsSources: BACKTEST_LEVEL_SOURCES
+    });
+  }
+
+  const bars = parseInt(horizon, 10);
+  if (!Number.isFinite(bars) || bars < 1 || bars > MAX_HORIZON) {
+    return backtestError(symbol, 'invalid_request', `horizon must be between 1 and ${MAX_HORIZON} candles`);
+  }
+  const fee = parseFloat(feeBps) || 0;
+  if (fee < 0 || fee > 100) {
+    return backtestError(symbol, 'invalid_request', 'feeBps must be between 0 and 100');
+  }
+
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  const { startTime, endTime } = resolveWindow(timeframe, start, end);
+  if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || startTime >= endTime) {
+    return backtestError(symbol, 'invalid_request', 'start and end must be valid times with start before end');
+  }
+  const requestedBars = Math.ceil((endTime - startTime) / intervalMs) + CANDLE_LOOKBACK;
+  if (requestedBars > MAX_BACKTEST_CANDLES) {
+    return backtestError(symbol, 'invalid_request', `Range too large: ${requestedBars} candles requested, maximum is ${MAX_BACKTEST_CANDLES} including warm-up`);
+  }
+
+  try {
+    const market = await provider.getMarketContext(symbol);
+    if (!market) {
+      return backtestError(symbol, 'not_found', `Symbol ${symbol} not found on ${provider.label}`);
+    }
+
+    // Fetch the warm-up window before `start` as well
+    const candles = await provider.getCandles(market.coin, timeframe, {
+      startTime: startTime - CANDLE_LOOKBACK * intervalMs,
+      endTime
+    });
+
+    if (!candles || candles.length < CANDLE_LOOKBACK + bars + 1) {
+      return backtestError(symbol, 'unprocessable', 'Insufficient candle data for backtest', {
+        candles: candles ? candles.length : 0,
+        required: CANDLE_LOOKBACK + bars + 1,
+        dataSource: provider.label
+      });
+    }
+
+    return {
+      symbol,
+      timeframe,
+      horizon: bars,
+      levelsSource,
+      range: {
+        start: new Date(Number(candles[CANDLE_LOOKBACK - 1].t)).toISOString(),
+        end: new Date(Number(candles[candles.length - 1].t)).toISOString(),
+        candles: candles.length,
+        warmup: CANDLE_LOOKBACK
+      },
+      ...runBacktest(candles, { horizon: bars, levelsSource, feeBps: fee }),
+      dataSource: provider.label,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return backtestError(symbol, 'upstream_error', error.message);
+  }
+}
+
+module.exports = { getBacktest, runBacktest, countBacktestBars };
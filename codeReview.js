@@ -1,46 +1,633 @@
-const OpenAI = require('openai');
+const { normalizeReview } = require('./reviewSchema');
+const { getReviewModel, listReviewTiers } = require('./llm');
+const { analyzeFiles } = require('./staticAnalysis');
+const { splitContent, applyEdits, createUnifiedDiff, applyUnifiedDiff } = require('./patch');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Rough token estimate (~4 characters per token) used for chunking and pricing
+const CHARS_PER_TOKEN = 4;
+const CHUNK_TOKENS = parseInt(process.env.CODE_REVIEW_CHUNK_TOKENS || '12000', 10);
+const MAX_INPUT_TOKENS = parseInt(process.env.CODE_REVIEW_MAX_INPUT_TOKENS || '100000', 10);
+const MAX_FILES = 200;
+const REPO_MAP_TOKENS = 1500;
+const CHUNK_OVERLAP_LINES = 5;
+const CHUNK_CONCURRENCY = 3;
+const MAX_REASKS = 1;
+const MAX_FIX_FINDINGS = 30;
+// Lines of code shown around each finding when asking for a fix
+const FIX_WINDOW_LINES = 30;
 
-async function getCodeReview(code, language = 'auto') {
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-5-mini',
-      messages: [
-        {
-          role: 'system',
-          content: `You are an expert code reviewer. Analyze the code thoroughly and find:
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const LANGUAGES_BY_EXTENSION = {
+  js: 'javascript', cjs: 'javascript', mjs: 'javascript', jsx: 'javascript',
+  ts: 'typescript', tsx: 'typescript', py: 'python', go: 'go', rs: 'rust',
+  java: 'java', kt: 'kotlin', rb: 'ruby', php: 'php', cs: 'csharp',
+  c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', swift: 'swift', sol: 'solidity',
+  sh: 'shell', sql: 'sql', yml: 'yaml', yaml: 'yaml', json: 'json'
+};
+
+const SYSTEM_PROMPT = `You are an expert code reviewer. Analyze the code thoroughly and find:
 1. Bugs (logic errors, edge cases, race conditions)
 2. Security vulnerabilities
 3. Performance issues
 4. Code quality problems
 5. Best practice violations
 
+The code is given as one or more files. Each file starts with a "=== FILE: <path>" header and
+every line is prefixed with its real line number. For diffs, lines marked "+" were added, lines
+marked "-" were removed (and have no line number); focus on the added and changed lines.
+A repository map lists every file in the submission so you can reason across files.
+Static analysis findings (parser errors, secrets, complexity, well-known patterns) are listed
+before the code. They are already verified and will be included in the report: do not repeat
+them, and spend your effort on what static analysis cannot see.
+
 Return a JSON object with:
 - bugs: array of {severity: "high"|"medium"|"low", file, line, description, suggestion}
+  where file is the exact path from the FILE header and line is the number printed on that line
 - suggestions: array of {category, description}
-- summary: brief overview of code health (0-100 score)
-- complexity: estimated cyclomatic complexity
-
-Be specific about line numbers and provide actionable fixes.`
-        },
-        {
-          role: 'user',
-          content: `Language: ${language}\n\nCode to review:\n\`\`\`\n${code}\n\`\`\``
+- summary: {score, overview} where score is an integer 0-100 for overall code health
+  and overview is a brief description
+- complexity: estimated cyclomatic complexity as a number (only used when static analysis
+  could not measure it)
+
+Be specific about line numbers and provide actionable fixes.`;
+
+const FIX_PROMPT = `You write minimal, safe code fixes for review findings.
+
+The code is given as one or more "=== FILE: <path>" sections; every line is prefixed with its
+real line number (sections may skip lines). Findings are listed as "#<id> <path>:<line> ...".
+
+Return a JSON object {fixes: [...]} with one entry per finding you can fix:
+  {id, startLine, endLine, original, replacement}
+- startLine..endLine is the inclusive range of existing lines you replace
+- original is the exact current text of those lines (without line numbers), joined by "\\n"
+- replacement is the new text for that range, joined by "\\n" (empty string deletes the lines)
+Keep each edit as small as possible, preserve indentation, and do not touch unrelated lines.
+Leave out findings that cannot be fixed safely inside the shown code.`;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function detectLanguage(path, fallback = 'auto') {
+  const match = /\.([A-Za-z0-9]+)$/.exec(path || '');
+  return (match && LANGUAGES_BY_EXTENSION[match[1].toLowerCase()]) || fallback;
+}
+
+function toLines(content) {
+  return String(content).split(/\r?\n/).map((text, index) => ({ number: index + 1, text, marker: ' ' }));
+}
+
+// Parse a unified diff into per-file line lists numbered on the new side.
+// Removed lines are kept (unnumbered) so the model sees what changed.
+function parseUnifiedDiff(diff) {
+  const files = [];
+  let current = null;
+  let newLine = 0;
+
+  for (const raw of String(diff).split(/\r?\n/)) {
+    if (raw.startsWith('diff --git ')) {
+      current = null;
+      continue;
+    }
+    if (raw.startsWith('--- ')) {
+      continue;
+    }
+    if (raw.startsWith('+++ ')) {
+      const target = raw.slice(4).trim().replace(/^b\//, '');
+      current = target === '/dev/null' ? null : { path: target, lines: [], changedLines: [] };
+      if (current) {
+        files.push(current);
+      }
+      continue;
+    }
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(raw);
+    if (hunk) {
+      newLine = parseInt(hunk[1], 10);
+      if (current && current.lines.length) {
+        current.lines.push({ number: null, text: '...', marker: ' ' });
+      }
+      continue;
+    }
+    if (!current || raw.startsWith('\\')) {
+      continue;
+    }
+    if (raw.startsWith('+')) {
+      current.lines.push({ number: newLine, text: raw.slice(1), marker: '+' });
+      current.changedLines.push(newLine);
+      newLine += 1;
+    } else if (raw.startsWith('-')) {
+      current.lines.push({ number: null, text: raw.slice(1), marker: '-' });
+    } else {
+      current.lines.push({ number: newLine, text: raw.startsWith(' ') ? raw.slice(1) : raw, marker: ' ' });
+      newLine += 1;
+    }
+  }
+
+  return files.filter(file => file.lines.length);
+}
+
+// Accepts { code }, { files: [{ path, content }] } or { diff } and returns
+// { files: [{ path, language, lines, content?, changedLines? }] } or { error }.
+// content is the submitted text, kept for full files so fixes are patched
+// against it byte for byte.
+function normalizeReviewInput({ code, language = 'auto', files, diff } = {}) {
+  let normalized;
+
+  if (Array.isArray(files) && files.length) {
+    if (files.length > MAX_FILES) {
+      return { error: `Too many files: ${files.length} (maximum ${MAX_FILES})`, code: 'invalid_request' };
+    }
+    const invalid = files.findIndex(f => !f || typeof f.path !== 'string' || typeof f.content !== 'string');
+    if (invalid !== -1) {
+      return { error: `files[${invalid}] must be an object with string path and content`, code: 'invalid_request' };
+    }
+    normalized = files.map(f => ({
+      path: f.path,
+      language: detectLanguage(f.path, language),
+      lines: toLines(f.content),
+      content: f.content
+    }));
+  } else if (typeof diff === 'string' && diff.trim()) {
+    normalized = parseUnifiedDiff(diff).map(f => ({ ...f, language: detectLanguage(f.path, language) }));
+    if (!normalized.length) {
+      return { error: 'Could not find any file changes in the diff', code: 'invalid_request' };
+    }
+  } else if (typeof code === 'string' && code.trim()) {
+    normalized = [{ path: 'input', language, lines: toLines(code), content: code }];
+  } else {
+    return { error: 'Code is required', code: 'invalid_request' };
+  }
+
+  return { files: normalized };
+}
+
+// Token estimate of the raw submission; drives pricing and the size limit.
+function estimateReviewInputTokens({ code, files, diff } = {}) {
+  if (Array.isArray(files) && files.length) {
+    return files.reduce((sum, f) => sum + estimateTokens(f && f.path) + estimateTokens(f && f.content), 0);
+  }
+  if (typeof diff === 'string' && diff.trim()) {
+    return estimateTokens(diff);
+  }
+  return estimateTokens(code);
+}
+
+function renderLine(line) {
+  const number = line.number == null ? '' : String(line.number);
+  return `${number.padStart(5)} ${line.marker} | ${line.text}`;
+}
+
+// File list plus top-level declarations, trimmed to a fixed budget
+function buildRepositoryMap(files) {
+  const declaration = /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function|class|def|func|fn|interface|type|const|let|var|module\.exports)\b[^\n]{0,80}/;
+  const entries = files.map(file => {
+    const outline = file.lines
+      .filter(line => line.marker !== '-' && declaration.test(line.text) && !/^\s/.test(line.text))
+      .slice(0, 15)
+      .map(line => `    ${line.number}: ${line.text.trim().slice(0, 80)}`);
+    return [`- ${file.path} (${file.language}, ${file.lines.length} lines)`, ...outline].join('\n');
+  });
+
+  let map = '';
+  for (const entry of entries) {
+    if (estimateTokens(map + entry) > REPO_MAP_TOKENS) {
+      map += `\n... ${files.length} files total`;
+      break;
+    }
+    map += (map ? '\n' : '') + entry;
+  }
+  return map;
+}
+
+// Pack files into chunks that fit CHUNK_TOKENS; oversized files are split by
+// line ranges with a small overlap so findings near the cut are not lost.
+function chunkFiles(files) {
+  const chunks = [];
+  let current = { parts: [], tokens: 0 };
+
+  const flush = () => {
+    if (current.parts.length) {
+      chunks.push(current);
+    }
+    current = { parts: [], tokens: 0 };
+  };
+
+  for (const file of files) {
+    const rendered = file.lines.map(renderLine);
+    const fileTokens = estimateTokens(rendered.join('\n'));
+
+    if (fileTokens <= CHUNK_TOKENS) {
+      if (current.tokens + fileTokens > CHUNK_TOKENS) {
+        flush();
+      }
+      current.parts.push({ file, start: 0, end: rendered.length, rendered });
+      current.tokens += fileTokens;
+      continue;
+    }
+
+    flush();
+    let start = 0;
+    while (start < rendered.length) {
+      let end = start;
+      let tokens = 0;
+      while (end < rendered.length && tokens + estimateTokens(rendered[end]) <= CHUNK_TOKENS) {
+        tokens += estimateTokens(rendered[end]);
+        end += 1;
+      }
+      end = Math.max(end, start + 1);
+      chunks.push({ parts: [{ file, start, end, rendered }], tokens });
+      if (end >= rendered.length) {
+        break;
+      }
+      start = Math.max(end - CHUNK_OVERLAP_LINES, start + 1);
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+function renderChunk(chunk) {
+  return chunk.parts.map(({ file, start, end, rendered }) => {
+    const partial = start > 0 || end < rendered.length ? ` (lines ${start + 1}-${end} of ${rendered.length})` : '';
+    return `=== FILE: ${file.path} [${file.language}]${partial}\n${rendered.slice(start, end).join('\n')}`;
+  }).join('\n\n');
+}
+
+// Re-ask once when the reply cannot be read as a review at all; smaller
+// problems are repaired by normalizeReview.
+async function reviewChunk(reviewModel, chunk, index, total, repositoryMap, files, staticFindings) {
+  const paths = new Set(chunk.parts.map(part => part.file.path));
+  const chunkFindings = staticFindings
+    .filter(bug => paths.has(bug.file))
+    .map(bug => `- [${bug.severity}] ${bug.file}:${bug.line} ${bug.description}`);
+  const messages = [
+    {
+      role: 'user',
+      content: `Repository map:\n${repositoryMap}\n\n` +
+        `Static analysis findings:\n${chunkFindings.length ? chunkFindings.join('\n') : '- none'}\n\n` +
+        `Review part ${index + 1} of ${total}:\n\n${renderChunk(chunk)}`
+    }
+  ];
+  const fallbackFile = chunk.parts.length === 1 ? chunk.parts[0].file : null;
+
+  for (let attempt = 0; ; attempt++) {
+    const content = await reviewModel.provider.complete({
+      model: reviewModel.model,
+      system: SYSTEM_PROMPT,
+      messages,
+      json: true
+    });
+    const result = normalizeReview(content, files, fallbackFile);
+    if (!result.fatal) {
+      return { ...result, reasks: attempt };
+    }
+    if (attempt >= MAX_REASKS) {
+      throw new Error(`Model returned an unusable review: ${result.fatal}`);
+    }
+    messages.push(
+      { role: 'assistant', content: String(content) },
+      {
+        role: 'user',
+        content: `Your reply could not be used (${result.fatal}). Reply with only a JSON object with bugs, suggestions, summary {score, overview} and complexity as described.`
+      }
+    );
+  }
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Returns accept(bug): false for repeats of an earlier model finding, and
+// for model findings on the same line and severity as a static one.
+function createBugFilter(staticFindings) {
+  const seen = new Set();
+  const staticLines = new Set(staticFindings.map(bug => `${bug.file}|${bug.line}|${bug.severity}`));
+  return bug => {
+    const key = `${bug.file}|${bug.line}|${bug.description.toLowerCase()}`;
+    if (seen.has(key) || staticLines.has(`${bug.file}|${bug.line}|${bug.severity}`)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  };
+}
+
+// Merge normalized per-chunk reviews and the static-analysis pass into one
+// report. The overall score is the chunk scores weighted by chunk size.
+function mergeReviews(results, chunks, analysis) {
+  const accept = createBugFilter(analysis.findings);
+  const bugs = [...analysis.findings];
+  const seenSuggestions = new Set();
+  const suggestions = [];
+  const overviews = new Set();
+  const repairs = [];
+  let reasks = 0;
+  let weightedScore = 0;
+  let totalWeight = 0;
+  let estimatedComplexity = null;
+
+  results.forEach(({ review, repairs: chunkRepairs, reasks: chunkReasks }, index) => {
+    bugs.push(...review.bugs.filter(accept));
+    for (const suggestion of review.suggestions) {
+      const key = suggestion.description.toLowerCase();
+      if (!seenSuggestions.has(key)) {
+        seenSuggestions.add(key);
+        suggestions.push(suggestion);
+      }
+    }
+    const weight = chunks[index].tokens || 1;
+    weightedScore += review.summary.score * weight;
+    totalWeight += weight;
+    if (review.summary.overview) {
+      overviews.add(review.summary.overview);
+    }
+    if (review.complexity != null) {
+      estimatedComplexity = Math.max(estimatedComplexity || 0, review.complexity);
+    }
+    const prefix = results.length > 1 ? `part ${index + 1}: ` : '';
+    chunkRepairs.forEach(repair => repairs.push(prefix + repair));
+    reasks += chunkReasks;
+  });
+
+  bugs.sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+    String(a.file).localeCompare(String(b.file)) ||
+    (a.line || 0) - (b.line || 0)
+  );
+
+  return {
+    bugs,
+    suggestions,
+    summary: {
+      score: Math.round(weightedScore / totalWeight),
+      overview: [...overviews].join(' ')
+    },
+    // Measured from the AST when any file could be parsed, else the model's estimate
+    complexity: analysis.complexity ? analysis.complexity.max : estimatedComplexity,
+    complexityReport: analysis.complexity
+      ? { source: 'static', ...analysis.complexity }
+      : { source: estimatedComplexity == null ? null : 'model' },
+    validation: { repaired: repairs.length > 0, repairs, reasks }
+  };
+}
+
+// Sections of each file around the findings, rendered like the review prompt
+function renderFixContext(findings, filesByPath) {
+  const sections = [];
+  for (const [path, fileFindings] of groupBy(findings, f => f.bug.file)) {
+    const file = filesByPath.get(path);
+    const ranges = fileFindings
+      .map(f => [Math.max(1, f.bug.line - FIX_WINDOW_LINES), Math.min(file.lines.length, f.bug.line + FIX_WINDOW_LINES)])
+      .sort((a, b) => a[0] - b[0])
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1] + 1) {
+          last[1] = Math.max(last[1], range[1]);
+        } else {
+          merged.push(range);
+        }
+        return merged;
+      }, []);
+    const body = ranges
+      .map(([from, to]) => file.lines.slice(from - 1, to).map(renderLine).join('\n'))
+      .join('\n  ...\n');
+    sections.push(`=== FILE: ${path} [${file.language}]\n${body}`);
+  }
+  return sections.join('\n\n');
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function splitText(text) {
+  return String(text).replace(/\r\n/g, '\n').split('\n');
+}
+
+// Turn a model fix into an edit on the file, re-anchoring it on `original`
+// when the line numbers are off. Returns { edit } or { error }.
+function resolveFixEdit(fix, file) {
+  const { lines, eol } = splitContent(file.content);
+  let start = parseInt(fix.startLine, 10);
+  let end = parseInt(fix.endLine ?? fix.startLine, 10);
+  const replacement = fix.replacement == null || fix.replacement === '' ? [] : splitText(fix.replacement);
+
+  if (typeof fix.original === 'string' && fix.original !== '') {
+    const original = splitText(fix.original);
+    const matchesAt = at => original.every((text, k) => (lines[at - 1 + k] ?? null) !== null && lines[at - 1 + k].trimEnd() === text.trimEnd());
+    if (!(Number.isFinite(start) && matchesAt(start) && end === start + original.length - 1)) {
+      const candidates = [];
+      for (let at = 1; at + original.length - 1 <= lines.length; at++) {
+        if (matchesAt(at)) {
+          candidates.push(at);
         }
-      ],
-      response_format: { type: 'json_object' }
+      }
+      if (candidates.length !== 1) {
+        return { error: candidates.length ? 'original text is ambiguous' : 'original text does not match the submitted code' };
+      }
+      start = candidates[0];
+      end = start + original.length - 1;
+    }
+  }
+
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 1 || end < start - 1 || end > lines.length) {
+    return { error: 'line range is outside the file' };
+  }
+  // Split lines of a CRLF file keep their \r, so replacement lines get one
+  // too, except a new last line of a file without a final newline
+  if (/\r\n/.test(file.content)) {
+    const last = !eol && end === lines.length ? replacement.length - 1 : -1;
+    replacement.forEach((text, k) => {
+      replacement[k] = k === last ? text : `${text}\r`;
     });
+  }
+  const removed = lines.slice(start - 1, end);
+  if (removed.length === replacement.length && removed.every((text, k) => text === replacement[k])) {
+    return { error: 'fix does not change the code' };
+  }
+  return { edit: { start, end, replacement } };
+}
 
-    return JSON.parse(response.choices[0].message.content);
+// Build and verify a patch: it must apply to the submitted file and produce
+// exactly the edited content. That only checks patch.js against itself; the
+// format is checked against diff -u and git apply in test/patch.test.js.
+function verifiedPatch(file, edits) {
+  const { content } = file;
+  const patch = createUnifiedDiff(file.path, content, edits);
+  const applied = applyUnifiedDiff({ [file.path]: content }, patch);
+  if (applied.error) {
+    return { error: applied.error };
+  }
+  if (applied.files[file.path] !== applyEdits(content, edits)) {
+    return { error: 'patch result does not match the intended edit' };
+  }
+  return { patch };
+}
+
+// fix mode: ask for edits for the located findings, attach a verified patch
+// to each bug and assemble one combined patch from the non-overlapping ones.
+async function attachFixes(reviewModel, bugs, files) {
+  const filesByPath = new Map(files.map(file => [file.path, file]));
+  const fixable = bugs
+    .map((bug, id) => ({ id, bug }))
+    .filter(({ bug }) => bug.line != null && filesByPath.has(bug.file))
+    .slice(0, MAX_FIX_FINDINGS);
+  const skipped = [];
+
+  if (!fixable.length) {
+    return { combined: '', fixed: 0, skipped };
+  }
+
+  const listing = fixable.map(({ id, bug }) => `#${id} ${bug.file}:${bug.line} [${bug.severity}] ${bug.description}`);
+  const content = await reviewModel.provider.complete({
+    model: reviewModel.model,
+    system: FIX_PROMPT,
+    messages: [{ role: 'user', content: `Findings:\n${listing.join('\n')}\n\n${renderFixContext(fixable, filesByPath)}` }],
+    json: true
+  });
+
+  let fixes = [];
+  try {
+    const parsed = JSON.parse(String(content).slice(String(content).indexOf('{'), String(content).lastIndexOf('}') + 1));
+    fixes = Array.isArray(parsed.fixes) ? parsed.fixes : [];
+  } catch (error) {
+    return { combined: '', fixed: 0, skipped: fixable.map(({ id }) => ({ bug: id, reason: 'model returned no usable fixes' })) };
+  }
+
+  const editsByFile = new Map();
+  const requested = new Set(fixable.map(({ id }) => id));
+  for (const fix of fixes) {
+    const id = parseInt(String(fix && fix.id).replace('#', ''), 10);
+    if (!requested.has(id)) {
+      continue;
+    }
+    requested.delete(id);
+    const bug = bugs[id];
+    const file = filesByPath.get(bug.file);
+    const resolved = resolveFixEdit(fix, file);
+    const verified = resolved.error ? resolved : verifiedPatch(file, [resolved.edit]);
+    if (verified.error) {
+      skipped.push({ bug: id, reason: verified.error });
+      continue;
+    }
+    bug.patch = verified.patch;
+    if (!editsByFile.has(file.path)) {
+      editsByFile.set(file.path, []);
+    }
+    editsByFile.get(file.path).push({ ...resolved.edit, id });
+  }
+  requested.forEach(id => skipped.push({ bug: id, reason: 'no fix proposed' }));
+
+  const patches = [];
+  let fixed = 0;
+  for (const [path, edits] of editsByFile) {
+    const accepted = [];
+    for (const edit of edits.sort((a, b) => a.start - b.start || a.end - b.end)) {
+      const previous = accepted[accepted.length - 1];
+      if (previous && edit.start <= Math.max(previous.end, previous.start - 1)) {
+        skipped.push({ bug: edit.id, reason: `overlaps the fix for bug ${previous.id}; left out of the combined patch` });
+        continue;
+      }
+      accepted.push(edit);
+    }
+    const verified = verifiedPatch(filesByPath.get(path), accepted);
+    if (verified.error) {
+      accepted.forEach(edit => skipped.push({ bug: edit.id, reason: `combined patch failed: ${verified.error}` }));
+      continue;
+    }
+    patches.push(verified.patch);
+    fixed += accepted.length;
+  }
+
+  return { combined: patches.join(''), fixed, skipped };
+}
+
+// onEvent(event, data), when given, is called as work progresses:
+//   progress - { stage: 'static-analysis' | 'review' | 'fix', ... }
+//   finding  - one bug, as soon as its analyzer or chunk has finished
+// The returned report is the same either way.
+async function getCodeReview(code, language = 'auto', { files, diff, tier = 'standard', fix = false, onEvent } = {}) {
+  const emit = onEvent || (() => {});
+  let reviewModel = null;
+  try {
+    reviewModel = getReviewModel(tier);
+    if (!reviewModel) {
+      return { error: `Unknown review tier ${tier}`, code: 'invalid_request', supportedTiers: listReviewTiers() };
+    }
+
+    const input = normalizeReviewInput({ code, language, files, diff });
+    if (input.error) {
+      return { error: input.error, code: input.code };
+    }
+    if (fix && input.files.some(f => f.changedLines)) {
+      return { error: 'fix mode needs full file contents; send code or files instead of a diff', code: 'invalid_request' };
+    }
+
+    const analysis = analyzeFiles(input.files);
+    emit('progress', { stage: 'static-analysis', findings: analysis.findings.length });
+    analysis.findings.forEach(bug => emit('finding', bug));
+
+    const chunks = chunkFiles(input.files);
+    const repositoryMap = buildRepositoryMap(input.files);
+    const streamed = createBugFilter(analysis.findings);
+    let completed = 0;
+    const reviews = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk, index) => {
+      const result = await reviewChunk(reviewModel, chunk, index, chunks.length, repositoryMap, input.files, analysis.findings);
+      completed += 1;
+      emit('progress', { stage: 'review', part: index + 1, completed, total: chunks.length });
+      result.review.bugs.filter(streamed).forEach(bug => emit('finding', bug));
+      return result;
+    });
+
+    const review = mergeReviews(reviews, chunks, analysis);
+    if (fix) {
+      emit('progress', { stage: 'fix', findings: review.bugs.length });
+      review.patch = await attachFixes(reviewModel, review.bugs, input.files);
+    }
+
+    return {
+      ...review,
+      files: input.files.map(f => ({
+        path: f.path,
+        language: f.language,
+        lines: f.lines.length,
+        ...(f.changedLines ? { changedLines: f.changedLines.length } : {})
+      })),
+      chunks: chunks.length,
+      model: { tier, provider: reviewModel.provider.name, name: reviewModel.model }
+    };
   } catch (error) {
     return {
       error: error.message,
-      suggestion: 'Check your OPENAI_API_KEY environment variable'
+      // Provider adapters flag missing credentials; anything else failed upstream
+      code: error.code === 'not_configured' ? 'not_configured' : 'upstream_error',
+      suggestion: reviewModel ? reviewModel.provider.credentialHint : 'Check the code-review provider configuration'
     };
   }
 }
 
-module.exports = { getCodeReview };
+module.exports = {
+  getCodeReview,
+  estimateReviewInputTokens,
+  MAX_INPUT_TOKENS
+};
@@ -0,0 +1,128 @@
+// Confidence score for a trading-analysis signal.
+//
+// Four components, each scored 0-1, are weighted into the final number:
+//   agreement       - how many indicators vote with the trend
+//   trendStrength   - distance from EMA20 measured in ATRs
+//   volatility      - current ATR% against its recent median (spikes cut confidence)
+//   historicalHitRate - how often the same trend call was right over the
+//                     calibration window, shrunk towards 50% when samples are few
+
+const WEIGHTS = {
+  agreement: 0.3,
+  trendStrength: 0.2,
+  volatility: 0.15,
+  historicalHitRate: 0.35
+};
+const MIN_CONFIDENCE = 0.05;
+const MAX_CONFIDENCE = 0.95;
+// Pseudo-samples at 50% added to the hit rate, so 5 lucky calls don't read as certainty
+const HIT_RATE_PRIOR_SAMPLES = 10;
+
+function round(value, decimals = 4) {
+  if (value == null || !Number.isFinite(value)) {
+    return null;
+  }
+  return Number(value.toFixed(decimals));
+}
+
+function clamp(value, min = 0, max = 1) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function direction(trend) {
+  return trend === 'bullish' ? 1 : trend === 'bearish' ? -1 : 0;
+}
+
+function scoreAgreement(trend, signals) {
+  const votes = Object.values(signals);
+  if (!votes.length) {
+    return { score: 0.5, detail: 'No indicator votes' };
+  }
+  const dir = direction(trend);
+  if (dir === 0) {
+    // Neutral is well supported when the votes cancel out
+    const net = Math.abs(votes.reduce((sum, v) => sum + v, 0));
+    return { score: clamp(1 - net / votes.length), detail: `Net vote ${net} of ${votes.length} indicators` };
+  }
+  const aligned = votes.filter(v => v === dir).length;
+  return { score: aligned / votes.length, detail: `${aligned} of ${votes.length} indicators support ${trend}` };
+}
+
+function scoreTrendStrength(trend, price, indicators) {
+  const { ema20, atr14 } = indicators;
+  if (!atr14 || !ema20) {
+    return { score: 0.5, detail: 'ATR unavailable' };
+  }
+  const distanceInAtr = Math.abs(price - ema20) / atr14;
+  const strength = clamp(distanceInAtr / 2);
+  // A neutral call is more credible when price is hugging the EMA
+  const score = direction(trend) === 0 ? 1 - strength : strength;
+  return { score, detail: `Price is ${round(distanceInAtr, 2)} ATR from EMA20` };
+}
+
+function scoreVolatility(indicators, history) {
+  const atrPercents = history.map(h => h.atrPercent).filter(v => v != null);
+  if (indicators.atrPercent == null || atrPercents.length < 10) {
+    return { score: 0.5, detail: 'Not enough history to judge volatility regime' };
+  }
+  const baseline = median(atrPercents);
+  const ratio = baseline ? indicators.atrPercent / baseline : 1;
+  const score = ratio <= 1 ? 1 : clamp(2 - ratio);
+  const regime = ratio > 1.5 ? 'elevated' : ratio < 0.7 ? 'compressed' : 'normal';
+  return { score, detail: `ATR% is ${round(ratio, 2)}x its recent median (${regime})`, regime };
+}
+
+// history: [{ trend, forwardReturn, atrPercent }] from replaying the signal
+// on earlier bars. Neutral calls count as right when price stayed within one ATR.
+function scoreHitRate(trend, history) {
+  const dir = direction(trend);
+  const similar = history.filter(h => h.trend === trend && h.forwardReturn != null);
+  const hits = similar.filter(h => {
+    if (dir !== 0) {
+      return dir * h.forwardReturn > 0;
+    }
+    return h.atrPercent != null && Math.abs(h.forwardReturn) * 100 <= h.atrPercent;
+  }).length;
+  const score = (hits + 0.5 * HIT_RATE_PRIOR_SAMPLES) / (similar.length + HIT_RATE_PRIOR_SAMPLES);
+  return {
+    score,
+    detail: similar.length
+      ? `${hits} of ${similar.length} past ${trend} calls were right`
+      : `No past ${trend} calls in the calibration window`,
+    samples: similar.length,
+    rawHitRate: similar.length ? round(hits / similar.length, 4) : null
+  };
+}
+
+function calculateConfidence({ trend, signals, indicators, price, history = [] }) {
+  const components = {
+    agreement: scoreAgreement(trend, signals),
+    trendStrength: scoreTrendStrength(trend, price, indicators),
+    volatility: scoreVolatility(indicators, history),
+    historicalHitRate: scoreHitRate(trend, history)
+  };
+
+  let total = 0;
+  const breakdown = {};
+  for (const [name, component] of Object.entries(components)) {
+    const contribution = component.score * WEIGHTS[name];
+    total += contribution;
+    breakdown[name] = {
+      ...component,
+      score: round(component.score, 4),
+      weight: WEIGHTS[name],
+      contribution: round(contribution, 4)
+    };
+  }
+
+  const confidence = clamp(total, MIN_CONFIDENCE, MAX_CONFIDENCE);
+  return { confidence, breakdown };
+}
+
+module.exports = { calculateConfidence };
@@ -0,0 +1,154 @@
+// Service credits for paid calls that fail.
+//
+// Every failed paid call is appended to failures.jsonl against the payer
+// address. When the money was already taken (streaming reviews and async jobs
+// settle before work starts) the amount is issued back as a credit voucher: a
+// bearer code the client sends as X-Credit-Voucher on a later paid request to
+// have it covered from the voucher balance instead of paying again. A call
+// that was itself covered by a voucher and fails is restored to that voucher.
+//
+// Only a hash of each code is stored; the hash doubles as the voucher id.
+// Amounts are strings in USD atomic units (6 decimals), the unit routes are
+// quoted in, whichever stablecoin the failed call was paid with.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function readInt(envName, fallback) {
+  const parsed = parseInt(process.env[envName], 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const CREDITS_DIR = process.env.CREDITS_DIR || path.join(process.cwd(), 'data', 'credits');
+const CREDIT_TTL_MS = readInt('CREDIT_TTL_MS', 90 * 24 * 60 * 60 * 1000);
+const MAX_HISTORY = 50;
+
+function timestamp() {
+  return new Date().toISOString();
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+function isPositiveAmount(value) {
+  return /^\d+$/.test(String(value ?? '')) && BigInt(value) > 0n;
+}
+
+function publicVoucher(voucher) {
+  const { id, payer, asset, network, balance, issuedAt, expiresAt, history } = voucher;
+  return { id, payer, asset, network, balance, issuedAt, expiresAt, history };
+}
+
+function createCreditLedger({ dir = CREDITS_DIR, ttlMs = CREDIT_TTL_MS } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const vouchersFile = path.join(dir, 'vouchers.json');
+  const failuresFile = path.join(dir, 'failures.jsonl');
+
+  const vouchers = new Map();
+  if (fs.existsSync(vouchersFile)) {
+    for (const voucher of Object.values(JSON.parse(fs.readFileSync(vouchersFile, 'utf8')))) {
+      if (Date.parse(voucher.expiresAt) > Date.now()) {
+        vouchers.set(voucher.id, voucher);
+      }
+    }
+  }
+
+  // Balances change synchronously; writes of the whole file are queued
+  let writing = Promise.resolve();
+  function persist() {
+    const snapshot = JSON.stringify(Object.fromEntries(vouchers));
+    writing = writing.catch(() => {}).then(async () => {
+      const temp = `${vouchersFile}.tmp`;
+      await fs.promises.writeFile(temp, snapshot);
+      await fs.promises.rename(temp, vouchersFile);
+    });
+    return writing;
+  }
+
+  function addHistory(voucher, entry) {
+    voucher.history = [...voucher.history, { ...entry, at: timestamp() }].slice(-MAX_HISTORY);
+  }
+
+  function find(id) {
+    const voucher = vouchers.get(id);
+    if (voucher && Date.parse(voucher.expiresAt) <= Date.now()) {
+      vouchers.delete(id);
+      return null;
+    }
+    return voucher || null;
+  }
+
+  function issue({ payer, amount, asset, network, route, transaction }) {
+    const code = `crv_${crypto.randomBytes(24).toString('base64url')}`;
+    const issuedAt = Date.now();
+    const voucher = {
+      id: hashCode(code),
+      payer: payer || null,
+      asset: asset || null,
+      network: network || null,
+      balance: String(amount),
+      issuedAt: new Date(issuedAt).toISOString(),
+      expiresAt: new Date(issuedAt + ttlMs).toISOString(),
+      history: []
+    };
+    addHistory(voucher, { type: 'issued', amount: String(amount), route, transaction: transaction || null });
+    vouchers.set(voucher.id, voucher);
+    return { voucher: code, ...publicVoucher(voucher) };
+  }
+
+  // failure: { route, status, error, payer, amount, asset, network,
+  //            transaction, settled, creditId }
+  // creditId is the voucher that covered the call, if one did.
+  // Returns the credit issued or restored, or null when nothing was owed.
+  async function recordFailure(failure) {
+    let credit = null;
+    const restoreTo = failure.creditId ? find(failure.creditId) : null;
+    if (restoreTo && isPositiveAmount(failure.amount)) {
+      restoreTo.balance = String(BigInt(restoreTo.balance) + BigInt(failure.amount));
+      addHistory(restoreTo, { type: 'restored', amount: String(failure.amount), route: failure.route });
+      credit = publicVoucher(restoreTo);
+    } else if (failure.settled && isPositiveAmount(failure.amount)) {
+      credit = issue(failure);
+    }
+
+    const entry = { at: timestamp(), ...failure, creditId: credit ? credit.id : failure.creditId || null };
+    await fs.promises.appendFile(failuresFile, `${JSON.stringify(entry)}\n`);
+    if (credit) {
+      await persist();
+      console.log(restoreTo ? 'credit_restored' : 'credit_issued', { id: credit.id.slice(0, 12), payer: credit.payer, amount: failure.amount, route: failure.route });
+    }
+    return credit;
+  }
+
+  // Debits `amount` from the voucher; returns { id, amount, balance } or { error }
+  async function redeem(code, amount, route) {
+    const voucher = find(hashCode(code));
+    if (!voucher) {
+      return { error: 'Unknown or expired credit voucher' };
+    }
+    if (!isPositiveAmount(amount)) {
+      return { error: 'This request could not be priced for credit' };
+    }
+    if (BigInt(voucher.balance) < BigInt(amount)) {
+      return { error: `Credit balance ${voucher.balance} does not cover the price ${amount}` };
+    }
+    voucher.balance = String(BigInt(voucher.balance) - BigInt(amount));
+    addHistory(voucher, { type: 'redeemed', amount: String(amount), route });
+    await persist();
+    return { id: voucher.id, amount: String(amount), balance: voucher.balance };
+  }
+
+  function lookup(code) {
+    const voucher = find(hashCode(code));
+    return voucher ? publicVoucher(voucher) : null;
+  }
+
+  function stats() {
+    return { vouchers: vouchers.size, ttlMs };
+  }
+
+  return { recordFailure, redeem, lookup, stats };
+}
+
+module.exports = { createCreditLedger };
@@ -0,0 +1,227 @@
+// Funding rate and open interest analytics for perpetual markets
+const { getMarketDataProvider, listMarketDataSources } = require('./marketData');
+
+const HOUR_MS = 3600000;
+const DEFAULT_LOOKBACK_HOURS = 168;
+const MAX_LOOKBACK_HOURS = 500;
+const OI_CHANGE_WINDOWS = { '1h': HOUR_MS, '4h': 4 * HOUR_MS, '24h': 24 * HOUR_MS };
+
+// A funding print this many standard deviations from the trailing mean, or an
+// annualized rate this large, means one side is paying heavily to stay in.
+const CROWDED_Z_SCORE = 2;
+const CROWDED_ANNUALIZED_PERCENT = 50;
+const OI_BUILD_PERCENT = 5;
+
+function round(value, decimals = 4) {
+  if (value == null || !Number.isFinite(value)) {
+    return null;
+  }
+  return Number(value.toFixed(decimals));
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stdDev(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+}
+
+// Rate per interval -> annualized percent
+function annualize(rate, intervalHours) {
+  if (rate == null || !Number.isFinite(rate)) {
+    return null;
+  }
+  return rate * (24 / intervalHours) * 365 * 100;
+}
+
+// Open-interest change over each window, anchored at the newest sample so
+// recorded histories work the same as live ones.
+function calculateOpenInterestChanges(samples, currentOpenInterest) {
+  const changes = {};
+  if (!samples.length) {
+    for (const label of Object.keys(OI_CHANGE_WINDOWS)) {
+      changes[label] = null;
+    }
+    return changes;
+  }
+
+  const latest = samples[samples.length - 1];
+  const current = Number.isFinite(currentOpenInterest) ? currentOpenInterest : latest.openInterest;
+
+  for (const [label, windowMs] of Object.entries(OI_CHANGE_WINDOWS)) {
+    const target = latest.time - windowMs;
+    let reference = null;
+    for (const sample of samples) {
+      if (sample.time <= target) {
+        reference = sample;
+      } else {
+        break;
+      }
+    }
+    if (!reference || !reference.openInterest) {
+      changes[label] = null;
+      continue;
+    }
+    changes[label] = {
+      absolute: round(current - reference.openInterest, 4),
+      percent: round(((current - reference.openInterest) / reference.openInterest) * 100, 2)
+    };
+  }
+
+  return changes;
+}
+
+function assessPositioning({ zScore, annualizedCurrent, oiChange24h }) {
+  const reasons = [];
+  let signal = 'neutral';
+
+  const longsPaying = annualizedCurrent != null && annualizedCurrent > 0;
+  const shortsPaying = annualizedCurrent != null && annualizedCurrent < 0;
+
+  if (zScore != null && zScore >= CROWDED_Z_SCORE && longsPaying) {
+    signal = 'crowded_longs';
+    reasons.push(`Funding ${zScore.toFixed(2)} std devs above its trailing mean`);
+  } else if (zScore != null && zScore <= -CROWDED_Z_SCORE && shortsPaying) {
+    signal = 'crowded_shorts';
+    reasons.push(`Funding ${Math.abs(zScore).toFixed(2)} std devs below its trailing mean`);
+  }
+
+  if (annualizedCurrent != null && Math.abs(annualizedCurrent) >= CROWDED_ANNUALIZED_PERCENT) {
+    signal = annualizedCurrent > 0 ? 'crowded_longs' : 'crowded_shorts';
+    reasons.push(`Annualized funding ${annualizedCurrent.toFixed(1)}%`);
+  }
+
+  let severity = signal === 'neutral' ? 'none' : 'moderate';
+  if (signal !== 'neutral' && oiChange24h && oiChange24h.percent >= OI_BUILD_PERCENT) {
+    severity = 'high';
+    reasons.push(`Open interest up ${oiChange24h.percent}% in 24h`);
+  }
+
+  return { signal, severity, reasons };
+}
+
+async function getFundingAnalysis(symbol, { lookbackHours = DEFAULT_LOOKBACK_HOURS, source } = {}) {
+  const provider = getMarketDataProvider(source);
+  if (!provider) {
+    return {
+      symbol,
+      source,
+      error: `Unknown market data source ${source}`,
+      code: 'invalid_request',
+      supportedSources: listMarketDataSources(),
+      timestamp: new Date().toISOString()
+    };
+  }
+  if (!provider.getFundingHistory) {
+    return {
+      symbol,
+      error: `Funding history is not available from ${provider.label}`,
+      code: 'unprocessable',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const hours = Math.min(Math.max(parseInt(lookbackHours, 10) || DEFAULT_LOOKBACK_HOURS, 24), MAX_LOOKBACK_HOURS);
+
+  try {
+    const market = await provider.getMarketContext(symbol);
+    if (!market) {
+      return {
+        symbol,
+        mode: 'funding',
+        error: `Symbol ${symbol} not found on ${provider.label}`,
+        code: 'not_found',
+        dataSource: provider.label,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const now = Date.now();
+    const [history, predicted, oiHistory] = await Promise.all([
+      provider.getFundingHistory(market.coin, { startTime: now - hours * HOUR_MS, endTime: now }),
+      provider.getPredictedFunding ? provider.getPredictedFunding(market.coin) : null,
+      provider.getOpenInterestHistory ? provider.getOpenInterestHistory(market.coin) : []
+    ]);
+
+    if (!history || history.length < 24) {
+      return {
+        symbol,
+        mode: 'funding',
+        error: 'Insufficient funding history',
+        code: 'unprocessable',
+        fundingSamples: history ? history.length : 0,
+        dataSource: provider.label,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const intervalHours = provider.fundingIntervalHours || 1;
+    const rates = history.map(f => f.fundingRate);
+    const current = predicted && Number.isFinite(predicted.fundingRate) ? predicted.fundingRate : market.funding;
+    const trailingMean = mean(rates);
+    const trailingStdDev = stdDev(rates);
+    const zScore = trailingStdDev > 0 ? (current - trailingMean) / trailingStdDev : null;
+    const last24 = rates.slice(-Math.round(24 / intervalHours));
+
+    const annualizedCurrent = annualize(current, intervalHours);
+    const oiChange = calculateOpenInterestChanges(oiHistory, market.openInterest);
+
+    return {
+      symbol,
+      mode: 'funding',
+      currentPrice: market.markPrice,
+      funding: {
+        current: round(current * 100, 6),
+        lastSettled: round(rates[rates.length - 1] * 100, 6),
+        intervalHours,
+        annualized: {
+          current: round(annualizedCurrent, 2),
+          avg24h: round(annualize(mean(last24), intervalHours), 2),
+          trailing: round(annualize(trailingMean, intervalHours), 2)
+        },
+        predicted: predicted
+          ? {
+              rate: round(predicted.fundingRate * 100, 6),
+              annualized: round(annualize(predicted.fundingRate, intervalHours), 2),
+              nextFundingTime: predicted.nextFundingTime
+                ? new Date(predicted.nextFundingTime).toISOString()
+                : null
+            }
+          : null,
+        zScore: round(zScore, 2),
+        window: {
+          hours,
+          samples: rates.length,
+          mean: round(trailingMean * 100, 6),
+          stdDev: round(trailingStdDev * 100, 6)
+        }
+      },
+      openInterest: {
+        current: round(market.openInterest, 4),
+        notional: round(market.openInterest * market.markPrice, 2),
+        change: oiChange,
+        samples: oiHistory.length,
+        since: oiHistory.length ? new Date(oiHistory[0].time).toISOString() : null
+      },
+      positioning: assessPositioning({
+        zScore,
+        annualizedCurrent,
+        oiChange24h: oiChange['24h']
+      }),
+      dataSource: provider.label,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return {
+      symbol,
+      mode: 'funding',
+      error: error.message,
+      code: 'upstream_error',
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = { getFundingAnalysis };
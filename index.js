@@ -1,29 +1,48 @@
 const express = require("express");
 const crypto = require("crypto");
-const { paymentMiddleware } = require("@x402/express");
+const { AsyncLocalStorage } = require("async_hooks");
+const {
+  ExpressAdapter,
+  paymentMiddlewareFromHTTPServer,
+  x402HTTPResourceServer,
+} = require("@x402/express");
 const { HTTPFacilitatorClient, x402ResourceServer } = require("@x402/core/server");
+const { decodePaymentSignatureHeader } = require("@x402/core/http");
 const { registerExactEvmScheme } = require("@x402/evm/exact/server");
+const { registerExactSvmScheme } = require("@x402/svm/exact/server");
+const { decodeTransactionFromPayload, getTokenPayerFromTransaction } = require("@x402/svm");
 const { createCdpAuthHeaders } = require("@coinbase/x402");
 const { getAddress, parseErc6492Signature, serializeSignature } = require("viem");
-const { getTradingAnalysis } = require("./tradingAnalysis");
-const { getCodeReview } = require("./codeReview");
+const {
+  getTradingAnalysis,
+  getMultiTimeframeAnalysis,
+  scanMarket,
+  resolveScanSize,
+  MAX_TIMEFRAMES,
+} = require("./tradingAnalysis");
+const { getFundingAnalysis } = require("./fundingAnalysis");
+const { getOrderBookAnalysis } = require("./orderBookAnalysis");
+const { getBacktest, countBacktestBars } = require("./backtest");
+const { getMarketDataCacheStats, startOpenInterestSampling } = require("./marketData");
+const { getCodeReview, estimateReviewInputTokens, MAX_INPUT_TOKENS } = require("./codeReview");
+const { listReviewTiers, validateReviewTiers } = require("./llm");
+const { createJobQueue, validateWebhookUrl, JOB_RETENTION_MS } = require("./jobs");
+const { createCreditLedger } = require("./credits");
+const { createAccountLedger, isApiKey, MAX_USAGE_ENTRIES } = require("./accounts");
+const { createPassIssuer, isPassToken, claimedRoutes } = require("./passes");
+const { createPaymentLedger } = require("./paymentLedger");
+const { loadServiceConfig, watchServiceConfig, SERVICES_CONFIG_FILE } = require("./serviceConfig");
+const {
+  loadPaymentOptions,
+  paymentEnvOverrides,
+  findPaymentOption,
+  toAssetAmount,
+  toUsdAmount,
+} = require("./paymentOptions");
 
 const app = express();
 app.set('trust proxy', 1);
 
-const USDC_ASSETS_BY_NETWORK = {
-  "eip155:8453": {
-    asset: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
-    name: "USD Coin",
-    version: "2",
-  },
-  "eip155:84532": {
-    asset: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
-    name: "USDC",
-    version: "2",
-  },
-};
-
 function parseLegacyCdpApiKey(rawValue) {
   if (!rawValue) {
     return {};
@@ -549,6 +568,40 @@ function normalizePermit2AuthorizationPayload(permit2Authorization) {
   return { permit2Authorization: normalized, changed };
 }
 
+// Solana payloads carry one base64 transaction. Clients sometimes send it
+// base64url-encoded, unpadded or wrapped across lines.
+function normalizeSvmTransactionPayload(transaction) {
+  if (typeof transaction !== "string") {
+    return { transaction, changed: false };
+  }
+  let normalized = transaction.replace(/\s+/g, "").replace(/-/g, "+").replace(/_/g, "/");
+  if (/^[A-Za-z0-9+/]+$/.test(normalized) && normalized.length % 4) {
+    normalized = normalized.padEnd(normalized.length + 4 - (normalized.length % 4), "=");
+  }
+  return { transaction: normalized, changed: normalized !== transaction };
+}
+
+// Decodes a Solana payment transaction into its token payer (the transfer's
+// source owner), fee payer (first signer) and signature counts. Returns null
+// when the transaction is missing or does not decode.
+function inspectSvmTransaction(transaction) {
+  if (typeof transaction !== "string" || !/^[A-Za-z0-9+/]+={0,2}$/.test(transaction)) {
+    return null;
+  }
+  try {
+    const decoded = decodeTransactionFromPayload({ transaction });
+    const signatures = Object.entries(decoded.signatures || {});
+    return {
+      payer: getTokenPayerFromTransaction(decoded) || null,
+      feePayer: signatures[0]?.[0] || null,
+      signerCount: signatures.length,
+      missingSignatures: signatures.filter(([, signature]) => !signature).map(([address]) => address),
+    };
+  } catch {
+    return null;
+  }
+}
+
 function parseRequestBody(body) {
   if (!body) {
     return {};
@@ -576,6 +629,27 @@ function extractBearerToken(headerValue) {
   return match ? match[1].trim() : "";
 }
 
+// X-API-Key, or an account key sent as a bearer token. getHeader(name)
+// reads a request header, so this works for Express requests and x402 adapters.
+function readApiKey(getHeader) {
+  const explicit = getHeader("x-api-key");
+  if (typeof explicit === "string" && explicit.trim()) {
+    return explicit.trim();
+  }
+  const bearer = extractBearerToken(getHeader("authorization"));
+  return isApiKey(bearer) ? bearer : "";
+}
+
+// X-Access-Pass, or a time pass sent as a bearer token
+function readPassToken(getHeader) {
+  const explicit = getHeader("x-access-pass");
+  if (typeof explicit === "string" && explicit.trim()) {
+    return explicit.trim();
+  }
+  const bearer = extractBearerToken(getHeader("authorization"));
+  return isPassToken(bearer) ? bearer : "";
+}
+
 function extractCodeReviewTestToken(req) {
   const headerToken =
     req.get("x-code-review-test-token") || req.get("x-test-token") || "";
@@ -601,18 +675,207 @@ function tokenMatches(expectedToken, providedToken) {
   return crypto.timingSafeEqual(expected, provided);
 }
 
-function buildUsdcAssetAmount(amount, network, assetTransferMethod) {
-  const assetInfo = USDC_ASSETS_BY_NETWORK[network] || USDC_ASSETS_BY_NETWORK["eip155:8453"];
-  const extra = {
-    name: assetInfo.name,
-    version: assetInfo.version,
+// Accepts ["15m","1h"] or "15m,1h"; returns null when no list was given.
+function parseTimeframeList(value) {
+  if (value == null || value === "") {
+    return null;
+  }
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+// Accepts ["BTC","ETH"] or "BTC,ETH"; returns undefined when no list was given.
+function parseSymbolList(value) {
+  if (value == null || value === "") {
+    return undefined;
+  }
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const symbols = list.map((entry) => String(entry).trim()).filter(Boolean);
+  return symbols.length ? symbols : undefined;
+}
+
+function readMarketScanParams(body, query = {}) {
+  return {
+    symbols: parseSymbolList(body.symbols || query.symbols),
+    top: body.top ?? query.top,
+    minFunding: body.minFunding ?? query.minFunding,
+    maxFunding: body.maxFunding ?? query.maxFunding,
+    timeframe: body.timeframe || query.timeframe || "1h",
+    sortBy: body.sortBy || query.sortBy || "signal",
+    source: body.source || query.source,
+  };
+}
+
+function readCodeReviewInput(body, query = {}) {
+  return {
+    code: body.code || query.code,
+    language: body.language || query.language || "auto",
+    files: Array.isArray(body.files) ? body.files : undefined,
+    diff: body.diff || query.diff,
+    tier: body.tier || query.tier || "standard",
+    fix: body.fix === true || String(body.fix ?? query.fix ?? "").toLowerCase() === "true",
+  };
+}
+
+function readTradingAnalysisParams(body, query = {}) {
+  return {
+    symbol: body.symbol || query.symbol,
+    timeframe: body.timeframe || query.timeframe || "1h",
+    timeframes: parseTimeframeList(body.timeframes || query.timeframes),
+    source: body.source || query.source,
+    mode: body.mode || query.mode || "technical",
+    levelsSource: body.levelsSource || query.levelsSource || "candles",
+    lookbackHours: body.lookbackHours || query.lookbackHours,
+  };
+}
+
+function readBacktestOptions(body, query = {}) {
+  return {
+    timeframe: body.timeframe || query.timeframe || "1h",
+    start: body.start || query.start,
+    end: body.end || query.end,
+    horizon: body.horizon || query.horizon,
+    levelsSource: body.levelsSource || query.levelsSource || "candles",
+    feeBps: body.feeBps || query.feeBps,
+    source: body.source || query.source,
+  };
+}
+
+// async: true, ?async=true or "Prefer: respond-async" runs the request as a
+// job; a webhookUrl implies async.
+function readJobOptions(req) {
+  const body = parseRequestBody(req.body);
+  const webhookUrl = body.webhookUrl || req.query.webhookUrl;
+  const requested =
+    body.async === true ||
+    String(body.async ?? req.query.async ?? "").toLowerCase() === "true" ||
+    /\brespond-async\b/i.test(req.get("prefer") || "");
+  return { async: requested || Boolean(webhookUrl), webhookUrl };
+}
+
+async function runTradingAnalysis({ symbol, timeframe, timeframes, source, mode, levelsSource, lookbackHours }) {
+  if (mode === "funding") {
+    return getFundingAnalysis(symbol, { lookbackHours, source });
+  }
+  return timeframes
+    ? getMultiTimeframeAnalysis(symbol, timeframes, source, { levelsSource })
+    : getTradingAnalysis(symbol, timeframe, source, { levelsSource });
+}
+
+// Quotes take the route's price from services.yaml, in USD atomic units.
+// base covers the first block of input tokens, then perBlock per extra block;
+// the tier and fix mode each multiply the whole quote.
+function quoteCodeReviewAmount(input, price) {
+  const tokens = Math.min(estimateReviewInputTokens(input), MAX_INPUT_TOKENS);
+  const extraBlocks = Math.max(0, Math.ceil(tokens / price.tokensPerBlock) - 1);
+  const multiplier = (price.tierMultipliers[input.tier] || 1) * (input.fix ? price.fixMultiplier : 1);
+  return String(Math.ceil((price.base + extraBlocks * price.perBlock) * multiplier));
+}
+
+// base for one timeframe, plus perExtraTimeframe per extra timeframe requested
+function quoteTradingAnalysisAmount(params, price) {
+  const count = params.mode === "funding" ? 1 : new Set(params.timeframes || [params.timeframe]).size;
+  const extra = Math.min(Math.max(count, 1), MAX_TIMEFRAMES) - 1;
+  return String(price.base + extra * price.perExtraTimeframe);
+}
+
+// base covers the first block of bars, then perBlock per extra block. With no
+// `end` the range ends at the last bar boundary (see countBacktestBars), so a
+// quote only steps up when a bar opens between the 402 and the paid retry;
+// the retry then gets a fresh 402.
+function quoteBacktestAmount(options, price) {
+  const bars = countBacktestBars(options) || 0;
+  const extraBlocks = Math.max(0, Math.ceil(bars / price.barsPerBlock) - 1);
+  return String(price.base + extraBlocks * price.perBlock);
+}
+
+function quoteMarketScanAmount(params, price) {
+  return String(resolveScanSize(params) * price.perSymbol);
+}
+
+// Domain modules report failures as { error, code } bodies. Any status >= 400
+// also tells the payment middleware not to settle, so a failed call is not
+// charged. A failure without a known code is treated as an upstream one.
+const STATUS_BY_ERROR_CODE = {
+  invalid_request: 400,
+  not_found: 404,
+  // Valid, but the data source cannot serve it (no order book, too little history)
+  unprocessable: 422,
+  not_configured: 503,
+  // Market data or model provider errors
+  upstream_error: 502,
+};
+
+function statusForResult(result) {
+  if (!result || !result.error) {
+    return 200;
+  }
+  return STATUS_BY_ERROR_CODE[result.code] || 502;
+}
+
+// The payment the client signed: who pays, and how much of which asset
+function readSignedPayment(req) {
+  const header = req.get("payment-signature") || req.get("x-payment");
+  if (!header) {
+    return null;
+  }
+  try {
+    const payment = decodePaymentSignatureHeader(header);
+    const payload = payment.payload || {};
+    return {
+      payer:
+        payload.authorization?.from ||
+        payload.permit2Authorization?.from ||
+        inspectSvmTransaction(payload.transaction)?.payer ||
+        null,
+      amount: payment.accepted?.amount,
+      asset: payment.accepted?.asset,
+      network: payment.accepted?.network,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// "$0.25" as USD atomic units (6 decimals)
+function usdToAtomic(price) {
+  return String(Math.round(parseFloat(String(price).replace(/^\$/, "")) * 1e6));
+}
+
+// The route's USD quote for this request, read back from its first payment option
+async function quoteRouteAmount(routeConfig, context) {
+  const accepted = [].concat(routeConfig.accepts)[0];
+  const price = typeof accepted.price === "function" ? await accepted.price(context) : accepted.price;
+  if (price && typeof price === "object") {
+    const option = findPaymentOption(services.paymentOptions, { network: accepted.network, asset: price.asset });
+    return option ? toUsdAmount(option, price.amount) : String(price.amount);
+  }
+  return usdToAtomic(price);
+}
+
+function readPassPlan(body, query = {}, passes = services.config.passes) {
+  return String(body.plan || query.plan || passes.default);
+}
+
+// Top-ups are priced at the deposit itself: { amount } in USD, as atomic units
+function readTopUpAmount(body, query = {}) {
+  const usd = Number(body.amount ?? query.amount);
+  return Number.isFinite(usd) ? Math.round(usd * 1e6) : NaN;
+}
+
+// A USD quote as the price of one payment option (network + stablecoin)
+function buildAssetAmount(option, usdAmount, assetTransferMethod) {
+  // SPL mints have no EIP-712 domain; the facilitator adds its feePayer instead
+  const extra = option.vm === "svm" ? {} : {
+    name: option.name,
+    version: option.version,
   };
-  if (assetTransferMethod) {
+  if (assetTransferMethod && option.vm === "evm") {
     extra.assetTransferMethod = assetTransferMethod;
   }
   return {
-    amount,
-    asset: assetInfo.asset,
+    amount: toAssetAmount(option, usdAmount),
+    asset: option.address,
     extra,
   };
 }
@@ -621,16 +884,16 @@ function buildUsdcAssetAmount(amount, network, assetTransferMethod) {
 app.options('/api/code-review', (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-PAYMENT, PAYMENT-SIGNATURE');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-PAYMENT, PAYMENT-SIGNATURE, X-Credit-Voucher, X-API-Key, X-Access-Pass, Authorization');
   res.status(200).end();
 });
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.text({ type: "*/*" }));
+// Multi-file code reviews can run to a few hundred KB of source
+const requestBodyLimit = process.env.REQUEST_BODY_LIMIT || "2mb";
+app.use(express.json({ limit: requestBodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: requestBodyLimit }));
+app.use(express.text({ type: "*/*", limit: requestBodyLimit }));
 
-// Your Coinbase Agentic Wallet address
-const PAY_TO = "0x57CE15395828cB06Dcd514918df0d8D86F815011";
 const parsedLegacyCdpKey = parseLegacyCdpApiKey(process.env.CDP_API_KEY);
 const cdpApiKeyId =
   process.env.CDP_API_KEY_ID || process.env.CDP_API_KEY_NAME || parsedLegacyCdpKey.id;
@@ -638,8 +901,102 @@ const cdpApiKeySecret = process.env.CDP_API_KEY_SECRET || parsedLegacyCdpKey.sec
   ? (process.env.CDP_API_KEY_SECRET || parsedLegacyCdpKey.secret).replace(/\\n/g, "\n")
   : undefined;
 const hasCdpAuth = Boolean(cdpApiKeyId && cdpApiKeySecret);
-const x402Network = process.env.X402_NETWORK || (hasCdpAuth ? "eip155:8453" : "eip155:84532");
 const codeReviewTestToken = (process.env.CODE_REVIEW_TEST_TOKEN || "").trim();
+const adminToken = (process.env.ADMIN_TOKEN || "").trim();
+
+// Base and Solana unless services.yaml or X402_NETWORKS name networks; the
+// mainnets need the CDP facilitator, so testnets are used without it
+const DEFAULT_NETWORKS = hasCdpAuth
+  ? ["eip155:8453", "solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp"]
+  : ["eip155:84532", "solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1"];
+
+// Paid routes, prices, payees and networks come from services.yaml (see
+// serviceConfig.js). What is derived from one version of the file is kept
+// together and replaced as a whole when the file is reloaded.
+function createServices(config) {
+  for (const { variable, field } of paymentEnvOverrides(config)) {
+    console.warn("payment_config_overridden", {
+      variable,
+      field,
+      message: `${variable} is set, so ${field} in ${config.file} is ignored`,
+    });
+  }
+  // Throws when the networks, assets or payees are misconfigured
+  const paymentOptions = loadPaymentOptions({
+    defaults: {
+      ...config.payments,
+      networks: config.payments.networks || DEFAULT_NETWORKS,
+    },
+    payTo: config.payTo,
+  });
+  return {
+    config,
+    paymentOptions,
+    networkNames: [...new Set(paymentOptions.map((option) => option.networkName))],
+    acceptedPayments: paymentOptions.map(({ network, networkName, symbol, address, payTo }) => ({
+      network,
+      networkName,
+      asset: symbol,
+      address,
+      payTo,
+    })),
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+// Throws at startup when services.yaml is missing or invalid
+let services = createServices(loadServiceConfig(SERVICES_CONFIG_FILE));
+
+function routePrice(key) {
+  return services.config.routes[key].price;
+}
+
+// 250000 -> "$0.25"; sub-cent prices keep their digits ("$0.005")
+function formatUsd(amount) {
+  return `$${(amount / 1e6).toFixed(6).replace(/0{1,4}$/, "")}`;
+}
+
+// How a route is priced, for listings and descriptions
+function priceLabel(key, config = services.config) {
+  const { pricing, price } = config.routes[key];
+  if (pricing === "codeReview") {
+    const block = `${price.tokensPerBlock / 1000}k`;
+    const multipliers = [
+      ...Object.entries(price.tierMultipliers)
+        .filter(([, multiplier]) => multiplier !== 1)
+        .map(([tier, multiplier]) => `x${multiplier} for tier "${tier}"`),
+      ...(price.fixMultiplier !== 1 ? [`x${price.fixMultiplier} with fix: true`] : []),
+    ];
+    return `${formatUsd(price.base)} + ${formatUsd(price.perBlock)} per ${block} input tokens beyond the first ${block}${
+      multipliers.length ? ` (${multipliers.join(", ")})` : ""
+    }`;
+  }
+  if (pricing === "tradingAnalysis") {
+    return `${formatUsd(price.base)} + ${formatUsd(price.perExtraTimeframe)} per extra timeframe`;
+  }
+  if (pricing === "backtest") {
+    const block = price.barsPerBlock.toLocaleString("en-US");
+    return `${formatUsd(price.base)} + ${formatUsd(price.perBlock)} per ${block} bars beyond the first ${block}`;
+  }
+  if (pricing === "perSymbol") {
+    return `${formatUsd(price.perSymbol)} per symbol`;
+  }
+  if (pricing === "deposit") {
+    return `${formatUsd(price.min)}-${formatUsd(price.max)}`;
+  }
+  if (pricing === "pass") {
+    return Object.values(config.passes.plans).map((plan) => plan.price).join(" / ");
+  }
+  return formatUsd(price);
+}
+// Throws at startup when a tier names an unknown provider
+const codeReviewModelLabels = Object.fromEntries(
+  validateReviewTiers().map((model) => [model.tier, model.label])
+);
+const openInterestSampleIntervalMs = parseInt(
+  process.env.HYPERLIQUID_OI_SAMPLE_INTERVAL_MS || "300000",
+  10
+);
 
 // Root route - service info (no payment required)
 app.get("/", (req, res) => {
@@ -649,25 +1006,89 @@ app.get("/", (req, res) => {
     endpoints: [
       {
         path: "/api/ping",
-        price: "$0.01",
+        price: priceLabel("GET /api/ping"),
         description: "Health check with payment test",
         method: "GET"
       },
       {
         path: "/api/code-review",
-        price: "$0.50",
-        description: "AI code review via OpenAI Codex - finds bugs, security issues, and suggestions",
+        price: priceLabel("POST /api/code-review"),
+        description: `AI code review via ${codeReviewModelLabels.standard} - finds bugs, security issues, and suggestions. Accepts code, files[] or a unified diff`,
+        method: "POST"
+      },
+      {
+        path: "/api/code-review/stream",
+        price: priceLabel("POST /api/code-review/stream"),
+        description: "Same review streamed as Server-Sent Events: payment, progress, finding, result",
         method: "POST"
       },
       {
         path: "/api/trading-analysis",
-        price: "$0.25",
+        price: priceLabel("POST /api/trading-analysis"),
         description: "Real-time trading analysis via HyperLiquid",
         method: "POST"
+      },
+      {
+        path: "/api/orderbook-analysis",
+        price: priceLabel("POST /api/orderbook-analysis"),
+        description: "Order book depth, spread, slippage and liquidity walls via HyperLiquid",
+        method: "POST"
+      },
+      {
+        path: "/api/backtest",
+        price: priceLabel("POST /api/backtest"),
+        description: "Backtest the trading-analysis signal over historical candles",
+        method: "POST"
+      },
+      {
+        path: "/api/market-scan",
+        price: priceLabel("POST /api/market-scan"),
+        description: "Ranked trading analysis across many symbols from one universe fetch",
+        method: "POST"
+      },
+      {
+        path: "/api/jobs/:id",
+        price: "free",
+        description: "Status and result of an async job (paid routes accept async: true or a webhookUrl)",
+        method: "GET"
+      },
+      {
+        path: "/api/account/top-up",
+        price: `${priceLabel("POST /api/account/top-up")} (the deposit)`,
+        description: "Prepaid account: deposit once, get an API key (X-API-Key) that is debited per call on every paid route",
+        method: "POST"
+      },
+      {
+        path: "/api/account",
+        price: "free",
+        description: "Account balance and totals (X-API-Key)",
+        method: "GET"
+      },
+      {
+        path: "/api/account/usage",
+        price: "free",
+        description: "Recent account debits, refunds and top-ups with per-route totals (X-API-Key)",
+        method: "GET"
+      },
+      {
+        path: "/api/pass",
+        price: Object.entries(services.config.passes.plans)
+          .map(([name, plan]) => `${plan.price} (${name})`)
+          .join(", "),
+        description: "Time pass: one payment for unlimited calls to the covered routes until expiry. GET /api/pass with X-Access-Pass returns its status",
+        method: "POST"
+      },
+      {
+        path: "/api/credits",
+        price: "free",
+        description: "Balance of a credit voucher issued for a failed paid call. Send it as X-Credit-Voucher on any paid route to pay from the balance",
+        method: "GET"
       }
     ],
-    wallet: PAY_TO,
-    network: "base",
+    passes: Object.entries(services.config.passes.plans).map(([name, plan]) => ({ plan: name, ...plan })),
+    wallet: services.config.payTo.evm,
+    network: services.networkNames.join(", "),
+    accepts: services.acceptedPayments,
     version: "1.2.0",
     status: "Trading analysis + Code review live!"
   });
@@ -676,61 +1097,88 @@ app.get("/", (req, res) => {
 const enablePermit2ForCodeReview =
   (process.env.X402_ENABLE_CODE_REVIEW_PERMIT2 || "false").toLowerCase() === "true";
 
-const codeReviewAccepts = [
-  {
+// Prices are quoted per request from its body and query, in USD atomic units,
+// and advertised as one accepts entry per configured network and stablecoin
+// (see paymentOptions.js). The 402 challenge carries the quote, and x402 only
+// accepts a payment whose signed requirements equal the quote recomputed for
+// the paid request, so a client cannot sign a small request's price and then
+// send a bigger one.
+// Permit2 is EVM-only, so those entries leave out Solana
+function paymentAccepts(paymentOptions, quote, { maxTimeoutSeconds, assetTransferMethod = "eip3009" }) {
+  const options =
+    assetTransferMethod === "permit2"
+      ? paymentOptions.filter((option) => option.vm === "evm")
+      : paymentOptions;
+  return options.map((option) => ({
     scheme: "exact",
-    payTo: PAY_TO,
-    price: buildUsdcAssetAmount("500000", x402Network, "eip3009"),
-    network: x402Network,
-    maxTimeoutSeconds: 300,
-  },
-];
-
-if (enablePermit2ForCodeReview) {
-  codeReviewAccepts.unshift({
-    scheme: "exact",
-    payTo: PAY_TO,
-    price: buildUsdcAssetAmount("500000", x402Network, "permit2"),
-    network: x402Network,
-    maxTimeoutSeconds: 300,
-  });
+    payTo: option.payTo,
+    price: (context) =>
+      buildAssetAmount(
+        option,
+        quote(parseRequestBody(context.adapter.getBody?.()), context.adapter.getQueryParams?.()),
+        assetTransferMethod
+      ),
+    network: option.network,
+    maxTimeoutSeconds,
+  }));
 }
 
-// Payment middleware configuration with CDP facilitator
-const routes = {
-  // Simple Ping Service - $0.01 per request
-  "GET /api/ping": {
-    accepts: {
-      scheme: "exact",
-      payTo: PAY_TO,
-      price: "$0.01",
-      network: x402Network,
-      maxTimeoutSeconds: 120,
-    },
-    description: "Simple health check that returns server status. Cheapest way to test x402 payments.",
-    resource: "https://rook-monetized-services.onrender.com/api/ping",
-  },
-  // Code Review Service - $0.50 per request
-  "POST /api/code-review": {
-    accepts: codeReviewAccepts,
-    description:
-      "AI-powered code review using OpenAI o3-mini. Finds bugs, security issues, performance problems, and best practice violations.",
-    resource: "https://rook-monetized-services.onrender.com/api/code-review",
-  },
-  // Trading Analysis Service - $0.25 per request
-  "POST /api/trading-analysis": {
-    accepts: {
-      scheme: "exact",
-      payTo: PAY_TO,
-      price: "$0.25",
-      network: x402Network,
-      maxTimeoutSeconds: 180,
+// Fills the {{placeholders}} services.yaml descriptions may use
+function describeRoute(key, config) {
+  const values = {
+    standardModel: codeReviewModelLabels.standard,
+    deepModel: codeReviewModelLabels.deep,
+    topUpRange: priceLabel("POST /api/account/top-up", config),
+    passPlans: Object.entries(config.passes.plans)
+      .map(([name, plan]) => `"${name}" ${plan.price} - ${plan.description}`)
+      .join("; "),
+  };
+  return config.routes[key].description.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? match);
+}
+
+// The x402 route map for one version of services.yaml. Without publicUrl the
+// advertised resource is the URL the request was made to.
+function createRoutes({ config, paymentOptions }) {
+  const price = (key) => config.routes[key].price;
+  const quotes = {
+    "GET /api/ping": () => String(price("GET /api/ping")),
+    "POST /api/code-review": (body, query) =>
+      quoteCodeReviewAmount(readCodeReviewInput(body, query), price("POST /api/code-review")),
+    "POST /api/code-review/stream": (body, query) =>
+      quoteCodeReviewAmount(readCodeReviewInput(body, query), price("POST /api/code-review/stream")),
+    "POST /api/trading-analysis": (body, query) =>
+      quoteTradingAnalysisAmount(readTradingAnalysisParams(body, query), price("POST /api/trading-analysis")),
+    "POST /api/orderbook-analysis": () => String(price("POST /api/orderbook-analysis")),
+    "POST /api/backtest": (body, query) =>
+      quoteBacktestAmount(readBacktestOptions(body, query), price("POST /api/backtest")),
+    "POST /api/market-scan": (body, query) =>
+      quoteMarketScanAmount(readMarketScanParams(body, query), price("POST /api/market-scan")),
+    "POST /api/account/top-up": (body, query) => String(readTopUpAmount(body, query)),
+    "POST /api/pass": (body, query) => {
+      const { plans, default: defaultPlan } = config.passes;
+      return String((plans[readPassPlan(body, query, config.passes)] || plans[defaultPlan]).amount);
     },
-    description:
-      "Get real-time trading analysis for any crypto pair on HyperLiquid. Returns EMA20, support/resistance, trend, and funding rate.",
-    resource: "https://rook-monetized-services.onrender.com/api/trading-analysis",
-  },
-};
+  };
+  return Object.fromEntries(
+    Object.entries(config.routes).map(([key, route]) => {
+      const { maxTimeoutSeconds } = route;
+      const accepts = [
+        ...(route.pricing === "codeReview" && enablePermit2ForCodeReview
+          ? paymentAccepts(paymentOptions, quotes[key], { maxTimeoutSeconds, assetTransferMethod: "permit2" })
+          : []),
+        ...paymentAccepts(paymentOptions, quotes[key], { maxTimeoutSeconds }),
+      ];
+      return [
+        key,
+        {
+          accepts,
+          description: describeRoute(key, config),
+          ...(config.publicUrl ? { resource: `${config.publicUrl}${key.split(" ")[1]}` } : {}),
+        },
+      ];
+    })
+  );
+}
 
 const cdpFacilitatorUrl = normalizeFacilitatorUrl(
   process.env.CDP_FACILITATOR_URL ||
@@ -760,9 +1208,48 @@ const facilitatorClient = enableFacilitatorFallback
       fallbackFacilitatorUrl
     )
   : primaryFacilitatorClient;
-const resourceServer = registerExactEvmScheme(new x402ResourceServer(facilitatorClient));
+const resourceServer = registerExactSvmScheme(
+  registerExactEvmScheme(new x402ResourceServer(facilitatorClient))
+);
+
+// Each paid request runs with its own attempt record (see trackPayment); the
+// hooks below note the verify and settle outcomes on it for the ledger.
+const paymentAttempts = new AsyncLocalStorage();
+
+function x402FailureReason(error) {
+  return error?.invalidReason || error?.errorReason || error?.message || "Unknown error";
+}
+
+resourceServer.onAfterVerify(({ result }) => {
+  const attempt = paymentAttempts.getStore();
+  if (attempt) {
+    attempt.verify = { isValid: result.isValid, reason: result.invalidReason || null };
+  }
+});
+
+// A request that queued a job (see enqueuePaidJob) is told how settlement
+// went before the response is sent
+resourceServer.onAfterSettle(async ({ result }) => {
+  const attempt = paymentAttempts.getStore();
+  if (attempt) {
+    attempt.settle = {
+      success: result.success,
+      transaction: result.transaction,
+      network: result.network,
+      payer: result.payer,
+      reason: result.errorReason || null,
+    };
+    await attempt.onSettled?.(
+      result.success ? { transaction: result.transaction, network: result.network, payer: result.payer } : null
+    );
+  }
+});
 
 resourceServer.onVerifyFailure(({ error, requirements }) => {
+  const attempt = paymentAttempts.getStore();
+  if (attempt) {
+    attempt.verify = { isValid: false, reason: x402FailureReason(error) };
+  }
   console.error("x402_verify_failure", {
     network: requirements?.network,
     scheme: requirements?.scheme,
@@ -791,6 +1278,7 @@ resourceServer.onBeforeVerify(({ paymentPayload, requirements }) => {
   let permit2Authorization =
     payloadType === "permit2Authorization" ? payload.permit2Authorization : null;
   let permit2WasNormalized = false;
+  let transactionWasNormalized = false;
   let signatureWasNormalized = false;
   let signatureWasErc6492 = false;
   let signatureErc6492Unwrapped = false;
@@ -811,6 +1299,12 @@ resourceServer.onBeforeVerify(({ paymentPayload, requirements }) => {
     if (normalizedPermit2.changed) {
       paymentPayload.payload.permit2Authorization = normalizedPermit2.permit2Authorization;
     }
+  } else if (payloadType === "transaction") {
+    const normalizedTransaction = normalizeSvmTransactionPayload(payload.transaction);
+    transactionWasNormalized = normalizedTransaction.changed;
+    if (normalizedTransaction.changed) {
+      paymentPayload.payload.transaction = normalizedTransaction.transaction;
+    }
   }
   if (payload && typeof payload === "object" && !Array.isArray(payload) && "signature" in payload) {
     const normalizedSig = normalizeSignaturePayload(paymentPayload.payload.signature);
@@ -887,6 +1381,27 @@ resourceServer.onBeforeVerify(({ paymentPayload, requirements }) => {
         witnessExtra: permit2Authorization?.witness?.extra,
       }
     : null;
+  const svmTransaction =
+    payloadType === "transaction" ? inspectSvmTransaction(paymentPayload.payload.transaction) : null;
+  const transactionSummary =
+    payloadType === "transaction"
+      ? {
+          length:
+            typeof paymentPayload.payload.transaction === "string"
+              ? paymentPayload.payload.transaction.length
+              : null,
+          decoded: Boolean(svmTransaction),
+          payer: maskAddress(svmTransaction?.payer),
+          payerEqualsPayTo:
+            Boolean(svmTransaction?.payer) && svmTransaction.payer === requirements?.payTo,
+          feePayer: maskAddress(svmTransaction?.feePayer),
+          feePayerEqualsRoute:
+            Boolean(svmTransaction?.feePayer) &&
+            svmTransaction.feePayer === requirements?.extra?.feePayer,
+          signerCount: svmTransaction?.signerCount ?? null,
+          missingSignatures: svmTransaction ? svmTransaction.missingSignatures.map(maskAddress) : null,
+        }
+      : null;
   const signatureSummary = {
     type: typeof normalizedSignature,
     isString: typeof normalizedSignature === "string",
@@ -917,6 +1432,8 @@ resourceServer.onBeforeVerify(({ paymentPayload, requirements }) => {
     authWasNormalized,
     permit2Summary,
     permit2WasNormalized,
+    transactionSummary,
+    transactionWasNormalized,
     signatureSummary,
     signatureWasNormalized,
     signatureWasErc6492,
@@ -925,7 +1442,12 @@ resourceServer.onBeforeVerify(({ paymentPayload, requirements }) => {
   });
 });
 
-resourceServer.onSettleFailure(({ error, requirements }) => {
+resourceServer.onSettleFailure(async ({ error, requirements }) => {
+  const attempt = paymentAttempts.getStore();
+  if (attempt) {
+    attempt.settle = { success: false, reason: x402FailureReason(error) };
+    await attempt.onSettled?.(null);
+  }
   console.error("x402_settle_failure", {
     network: requirements?.network,
     scheme: requirements?.scheme,
@@ -935,9 +1457,373 @@ resourceServer.onSettleFailure(({ error, requirements }) => {
   });
 });
 
-const rawPaymentMiddleware = paymentMiddleware(routes, resourceServer);
-const payment = (req, res, next) =>
-  Promise.resolve(rawPaymentMiddleware(req, res, next)).catch(next);
+// Failed paid calls are recorded against the payer; see credits.js
+const creditLedger = createCreditLedger();
+// Prepaid balances behind API keys; see accounts.js
+const accountLedger = createAccountLedger();
+// Signed time passes; see passes.js
+const passIssuer = createPassIssuer();
+// Every paid request's outcome, for revenue reporting; see paymentLedger.js
+const paymentLedger = createPaymentLedger();
+// Buying balance or a pass always goes through x402
+const X402_ONLY_PATHS = new Set(["/api/account/top-up", "/api/pass"]);
+
+// Prepaid requests skip x402: an active time pass for the route, or a credit
+// voucher or account API key that covers the quoted price, grants access.
+// What was debited is kept on the request as req.prepaid so a failed call can
+// be refunded; a pass debits nothing.
+function registerPrepaidHooks(httpServer) {
+  httpServer.onProtectedRequest(async (context) => {
+    const token = readPassToken((name) => context.adapter.getHeader(name));
+    if (!token) {
+      return undefined;
+    }
+    // Other routes are paid as usual, so a client can send its pass everywhere,
+    // even one that is forged or was signed before the secret was rotated
+    if (!claimedRoutes(token).includes(`${context.method} ${context.path}`)) {
+      return undefined;
+    }
+    const { pass, active, error } = passIssuer.verify(token);
+    if (error) {
+      return { abort: true, reason: error };
+    }
+    if (!active) {
+      return { abort: true, reason: `Access pass expired at ${pass.expiresAt}; buy a new one at /api/pass` };
+    }
+    context.adapter.req.prepaid = { passId: pass.id, payer: pass.wallet, amount: "0", expiresAt: pass.expiresAt };
+    context.adapter.req.res?.setHeader("X-Pass-Expires-At", pass.expiresAt);
+    return { grantAccess: true };
+  });
+
+  httpServer.onProtectedRequest(async (context, routeConfig) => {
+    const code = context.adapter.getHeader("x-credit-voucher");
+    if (!code || X402_ONLY_PATHS.has(context.path)) {
+      return undefined;
+    }
+    const amount = await quoteRouteAmount(routeConfig, context);
+    const redemption = await creditLedger.redeem(code, amount, `${context.method} ${context.path}`);
+    if (redemption.error) {
+      return { abort: true, reason: redemption.error };
+    }
+    context.adapter.req.prepaid = { creditId: redemption.id, amount: redemption.amount, balance: redemption.balance };
+    return { grantAccess: true };
+  });
+
+  httpServer.onProtectedRequest(async (context, routeConfig) => {
+    const key = readApiKey((name) => context.adapter.getHeader(name));
+    if (!key || X402_ONLY_PATHS.has(context.path)) {
+      return undefined;
+    }
+    const amount = await quoteRouteAmount(routeConfig, context);
+    const charge = await accountLedger.charge(key, amount, `${context.method} ${context.path}`);
+    if (charge.error) {
+      return { abort: true, reason: charge.error };
+    }
+    context.adapter.req.prepaid = { accountId: charge.accountId, amount: charge.amount, balance: charge.balance };
+    context.adapter.req.res?.setHeader("X-Account-Balance", charge.balance);
+    return { grantAccess: true };
+  });
+}
+
+// One HTTP resource server per version of services.yaml, shared by the
+// buffered middleware and the settle-first streaming middleware. Requests use
+// whichever server is current when they arrive.
+function createX402Server(snapshot) {
+  const httpServer = new x402HTTPResourceServer(resourceServer, createRoutes(snapshot));
+  registerPrepaidHooks(httpServer);
+  return {
+    httpServer,
+    ready: httpServer.initialize(),
+    middleware: paymentMiddlewareFromHTTPServer(httpServer, undefined, undefined, false),
+  };
+}
+
+let x402Server = createX402Server(services);
+x402Server.ready.catch((error) => {
+  console.error("x402_initialize_failed", { error: formatX402Error(error) });
+});
+let servicesReloadError = null;
+
+// Loads services.yaml again and swaps in the new routes once their server has
+// initialized against the facilitator. Any failure keeps the running config.
+async function reloadServices(trigger) {
+  let snapshot;
+  let server;
+  try {
+    snapshot = createServices(loadServiceConfig(SERVICES_CONFIG_FILE));
+    server = createX402Server(snapshot);
+    await server.ready;
+  } catch (error) {
+    servicesReloadError = { at: new Date().toISOString(), message: error.message };
+    console.error("services_config_reload_failed", { trigger, file: SERVICES_CONFIG_FILE, error: error.message });
+    return { ok: false, error: error.message };
+  }
+  services = snapshot;
+  x402Server = server;
+  servicesReloadError = null;
+  console.log("services_config_reloaded", {
+    trigger,
+    file: SERVICES_CONFIG_FILE,
+    payments: services.paymentOptions.map((option) => `${option.symbol} on ${option.networkName}`),
+  });
+  return { ok: true, loadedAt: services.loadedAt };
+}
+
+// Reloads run one at a time, in the order they were asked for
+let servicesReloading = Promise.resolve();
+function scheduleServicesReload(trigger) {
+  servicesReloading = servicesReloading.then(() => reloadServices(trigger));
+  return servicesReloading;
+}
+watchServiceConfig(SERVICES_CONFIG_FILE, () => scheduleServicesReload("file"));
+process.on("SIGHUP", () => scheduleServicesReload("SIGHUP"));
+
+// How a request was paid: { payer, amount, usdAmount, currency, asset,
+// network, transaction, creditId, accountId, passId }. amount is in the paid
+// asset's units and usdAmount in USD atomic units; prepaid amounts are USD.
+// settlement is { transaction, network, payer } once an x402 payment settled.
+function readRequestPayment(req, settlement) {
+  const signed = readSignedPayment(req);
+  const prepaid = req.prepaid;
+  const option = signed ? findPaymentOption(services.paymentOptions, signed) : null;
+  return {
+    payer: settlement?.payer || signed?.payer || prepaid?.accountId || prepaid?.payer || null,
+    amount: prepaid ? prepaid.amount : signed?.amount,
+    usdAmount: prepaid ? prepaid.amount : option ? toUsdAmount(option, signed.amount) : signed?.amount,
+    currency: prepaid ? "USD" : option?.symbol || null,
+    asset: signed?.asset || null,
+    network: settlement?.network || signed?.network || null,
+    transaction: settlement?.transaction || null,
+    creditId: prepaid?.creditId,
+    accountId: prepaid?.accountId,
+    passId: prepaid?.passId,
+  };
+}
+
+// Prepaid calls are refunded to their account or voucher; a settled payment
+// is credited back as a new voucher. Every failure is recorded (credits.js).
+async function refundFailedCall({ payment, ...failure }) {
+  if (payment.accountId) {
+    const refund = await accountLedger.refund(payment.accountId, payment.amount, failure.route);
+    await creditLedger.recordFailure({ ...failure, ...payment, settled: false });
+    return refund;
+  }
+  // Vouchers hold USD; the amount actually paid is kept as paidAmount
+  return creditLedger.recordFailure({
+    ...failure,
+    ...payment,
+    amount: payment.usdAmount ?? payment.amount,
+    paidAmount: payment.amount,
+    settled: Boolean(payment.transaction),
+  });
+}
+
+function creditFailedCall(req, { status, error, settlement }) {
+  return refundFailedCall({
+    route: `${req.method} ${req.path}`,
+    status,
+    error,
+    payment: readRequestPayment(req, settlement),
+  });
+}
+
+// Responds with the status for the result. Failures are never settled (see
+// statusForResult); they are recorded, and prepaid calls are refunded.
+async function sendPaidResult(req, res, result) {
+  const status = statusForResult(result);
+  if (status < 400) {
+    return res.json(result);
+  }
+  res.locals.paidResult = { status, error: result.error };
+  let credit = null;
+  try {
+    credit = await creditFailedCall(req, { status, error: result.error });
+  } catch (error) {
+    console.error("credit_record_failed", { path: req.path, message: error.message });
+  }
+  return res.status(status).json(credit ? { ...result, credit } : result);
+}
+
+function prepaidMethod(prepaid) {
+  if (!prepaid) {
+    return "x402";
+  }
+  return prepaid.passId ? "pass" : prepaid.accountId ? "account" : "voucher";
+}
+
+// Writes the ledger entry for a paid request once its response has closed.
+// Requests that carried neither a payment nor a prepaid credential are 402
+// challenges and are not recorded.
+async function recordPaymentAttempt(req, res, attempt) {
+  if (!req.prepaid && !readSignedPayment(req)) {
+    return;
+  }
+  const settled = attempt.settle?.success ? attempt.settle : null;
+  let outcome = "rejected";
+  if (req.prepaid) {
+    outcome = "prepaid";
+  } else if (settled) {
+    outcome = "settled";
+  } else if (attempt.settle) {
+    outcome = "settle_failed";
+  } else if (attempt.verify) {
+    outcome = attempt.verify.isValid ? "not_settled" : "verify_failed";
+  }
+  const { payer, amount, currency, usdAmount, asset, network, transaction } = readRequestPayment(req, settled);
+  const result = res.locals.paidResult || {};
+  await paymentLedger.record({
+    route: `${req.method} ${req.path}`,
+    outcome,
+    method: prepaidMethod(req.prepaid),
+    payer,
+    amount: amount ?? null,
+    currency,
+    usdAmount: usdAmount ?? null,
+    asset,
+    network,
+    transaction,
+    status: result.status || res.statusCode,
+    error: result.error || null,
+    reason: attempt.settle?.reason || attempt.verify?.reason || null,
+    jobId: res.locals.jobId || null,
+  });
+}
+
+function trackPayment(middleware) {
+  return (req, res, next) => {
+    const attempt = {};
+    res.on("close", () => {
+      recordPaymentAttempt(req, res, attempt).catch((error) => {
+        console.error("payment_ledger_failed", { path: req.path, message: error.message });
+      });
+    });
+    paymentAttempts.run(attempt, () => middleware(req, res, next));
+  };
+}
+
+const payment = trackPayment((req, res, next) => {
+  const { ready, middleware } = x402Server;
+  ready.then(() => middleware(req, res, next)).catch(next);
+});
+
+// The standard middleware holds the whole response until it has settled, which
+// defeats streaming. This variant verifies and settles first, so no work is
+// done before payment, then lets the handler write to the socket directly.
+async function settleBeforeStreaming(req, res, next) {
+  const { ready, httpServer } = x402Server;
+  await ready;
+  const adapter = new ExpressAdapter(req);
+  const context = {
+    adapter,
+    path: req.path,
+    method: req.method,
+    paymentHeader: adapter.getHeader("payment-signature") || adapter.getHeader("x-payment"),
+  };
+  const result = await httpServer.processHTTPRequest(context);
+
+  if (result.type === "no-payment-required") {
+    return next();
+  }
+  if (result.type === "payment-error") {
+    const { response } = result;
+    res.status(response.status);
+    Object.entries(response.headers).forEach(([key, value]) => {
+      res.setHeader(key, value);
+    });
+    return response.isHtml ? res.send(response.body) : res.json(response.body || {});
+  }
+
+  const settlement = await httpServer.processSettlement(
+    result.paymentPayload,
+    result.paymentRequirements,
+    result.declaredExtensions
+  );
+  if (!settlement.success) {
+    return res.status(402).json({
+      error: "Settlement failed",
+      details: settlement.errorReason,
+    });
+  }
+  Object.entries(settlement.headers).forEach(([key, value]) => {
+    res.setHeader(key, value);
+  });
+  res.locals.x402Settlement = {
+    transaction: settlement.transaction,
+    network: settlement.network,
+    payer: settlement.payer,
+  };
+  return next();
+}
+const streamingPayment = trackPayment((req, res, next) =>
+  settleBeforeStreaming(req, res, next).catch(next)
+);
+
+// Long-running paid requests can run as persistent jobs (see jobs/). Jobs are
+// paid before they run, so a failed job is credited back.
+const jobQueue = createJobQueue({
+  onFailure: (job) =>
+    refundFailedCall({
+      route: `job ${job.type}`,
+      status: statusForResult(job.result || { error: job.error }),
+      error: job.error,
+      payment: job.payment || {},
+      jobId: job.id,
+    }),
+});
+jobQueue.registerHandler("code-review", ({ code, language, files, diff, tier, fix }) =>
+  getCodeReview(code, language, { files, diff, tier, fix })
+);
+jobQueue.registerHandler("trading-analysis", runTradingAnalysis);
+jobQueue.registerHandler("backtest", ({ symbol, options }) => getBacktest(symbol, options));
+jobQueue.registerHandler("market-scan", scanMarket);
+
+// The job is created while the request is still being paid for. A prepaid
+// balance or pass has already been debited, so it is queued at once;
+// otherwise the settle hooks queue it with the settlement result, or drop it
+// when settlement fails, whether or not the client is still connected. No
+// work runs unpaid.
+async function enqueuePaidJob(req, res, type, params) {
+  const { webhookUrl } = readJobOptions(req);
+  const job = await jobQueue.create({ type, params, webhookUrl });
+  res.locals.jobId = job.id;
+  const settle = (settlement) =>
+    (settlement || req.prepaid
+      ? jobQueue.confirm(job.id, readRequestPayment(req, settlement))
+      : jobQueue.cancel(job.id)
+    ).catch((error) => {
+      console.error("job_confirm_failed", { id: job.id, message: error.message });
+    });
+  const attempt = paymentAttempts.getStore();
+  if (req.prepaid || !attempt) {
+    await settle(null);
+  } else {
+    attempt.onSettled = settle;
+  }
+
+  const statusUrl = `/api/jobs/${job.id}`;
+  return res.status(202).location(statusUrl).json({
+    ok: true,
+    jobId: job.id,
+    status: "queued",
+    statusUrl,
+    ...(job.webhook ? { webhookUrl: job.webhook.url, webhookSecret: job.webhook.secret } : {}),
+    retentionSeconds: Math.round(JOB_RETENTION_MS / 1000),
+  });
+}
+
+// Runs before payment so a bad webhook URL is never charged for
+function validateJobRequest(req, res, next) {
+  const { webhookUrl } = readJobOptions(req);
+  const problem = webhookUrl ? validateWebhookUrl(webhookUrl) : null;
+  if (problem) {
+    return res.status(400).json({
+      ok: false,
+      error: problem,
+      hint: "Send a public https URL as webhookUrl, or omit it and poll statusUrl.",
+    });
+  }
+  return next();
+}
 
 // Health check - FREE (no payment required)
 app.get("/health", (req, res) => {
@@ -945,19 +1831,66 @@ app.get("/health", (req, res) => {
     status: "ok", 
     service: "Rook's Monetized Agent Services",
     endpoints: [
-      { path: "/api/ping", price: "$0.01", description: "Health check with payment test" },
-      { path: "/api/code-review", price: "$0.50", description: "AI code review (paid)" },
+      { path: "/api/ping", price: priceLabel("GET /api/ping"), description: "Health check with payment test" },
+      { path: "/api/code-review", price: priceLabel("POST /api/code-review"), description: "AI code review (paid)" },
+      {
+        path: "/api/code-review/stream",
+        price: priceLabel("POST /api/code-review/stream"),
+        description: "Streaming AI code review over Server-Sent Events (paid, settled up front)",
+      },
       {
         path: "/api/code-review-test",
         price: "free (token)",
         description: "Temporary code-review test endpoint. Requires CODE_REVIEW_TEST_TOKEN.",
       },
-      { path: "/api/trading-analysis", price: "$0.25", description: "Real-time trading analysis via HyperLiquid" }
+      {
+        path: "/api/trading-analysis",
+        price: priceLabel("POST /api/trading-analysis"),
+        description: "Real-time trading analysis via HyperLiquid",
+      },
+      {
+        path: "/api/orderbook-analysis",
+        price: priceLabel("POST /api/orderbook-analysis"),
+        description: "Order book depth and liquidity analysis",
+      },
+      { path: "/api/backtest", price: priceLabel("POST /api/backtest"), description: "Trading-analysis signal backtest" },
+      {
+        path: "/api/market-scan",
+        price: priceLabel("POST /api/market-scan"),
+        description: "Batch trading analysis / market scanner",
+      },
+      { path: "/api/jobs/:id", price: "free", description: "Async job status and result" },
+      { path: "/api/credits", price: "free", description: "Credit voucher balance (X-Credit-Voucher header)" },
+      {
+        path: "/api/account/top-up",
+        price: priceLabel("POST /api/account/top-up"),
+        description: "Prepaid account deposit; returns an API key",
+      },
+      { path: "/api/account", price: "free", description: "Account balance (X-API-Key)" },
+      { path: "/api/account/usage", price: "free", description: "Account usage history (X-API-Key)" },
+      {
+        path: "/api/pass",
+        price: priceLabel("POST /api/pass"),
+        description: "Time pass purchase (POST) and status (GET, X-Access-Pass)",
+      }
     ],
-    wallet: PAY_TO,
-    network: "base",
+    wallet: services.config.payTo.evm,
+    network: services.networkNames.join(", "),
+    accepts: services.acceptedPayments,
     note: "Trading analysis live using HyperLiquid real-time data",
     codeReviewTestTokenConfigured: Boolean(codeReviewTestToken),
+    adminTokenConfigured: Boolean(adminToken),
+    codeReviewModels: codeReviewModelLabels,
+    marketDataCache: getMarketDataCacheStats(),
+    jobs: jobQueue.stats(),
+    credits: creditLedger.stats(),
+    accounts: accountLedger.stats(),
+    passPlans: Object.keys(services.config.passes.plans),
+    servicesConfig: {
+      file: SERVICES_CONFIG_FILE,
+      loadedAt: services.loadedAt,
+      reloadError: servicesReloadError,
+    },
   });
 });
 
@@ -971,44 +1904,446 @@ app.get("/api/ping", payment, (req, res) => {
   });
 });
 
-app.post("/api/trading-analysis", payment, async (req, res) => {
-  const body = parseRequestBody(req.body);
-  const symbol = body.symbol || req.query.symbol;
-  const timeframe = body.timeframe || req.query.timeframe || "1h";
-  
-  if (!symbol) {
-    return res.status(200).json({
+// Runs before payment, so a request without a symbol is never charged
+function requireSymbol(hint) {
+  return (req, res, next) => {
+    const body = parseRequestBody(req.body);
+    if (body.symbol || req.query.symbol) {
+      return next();
+    }
+    return res.status(400).json({
       ok: false,
       error: "Symbol is required",
-      hint: "Send JSON body with {\"symbol\":\"BTC\",\"timeframe\":\"1h\"} or ?symbol=BTC",
+      hint,
       bodyType: typeof req.body,
     });
+  };
+}
+
+app.post(
+  "/api/trading-analysis",
+  requireSymbol("Send JSON body with {\"symbol\":\"BTC\",\"timeframe\":\"1h\"} or ?symbol=BTC"),
+  validateJobRequest,
+  payment,
+  async (req, res) => {
+    const body = parseRequestBody(req.body);
+    const params = readTradingAnalysisParams(body, req.query);
+    if (readJobOptions(req).async) {
+      return enqueuePaidJob(req, res, "trading-analysis", params);
+    }
+    return sendPaidResult(req, res, await runTradingAnalysis(params));
   }
-  
-  const analysis = await getTradingAnalysis(symbol, timeframe);
-  res.json(analysis);
-});
+);
 
-app.post("/api/code-review", payment, async (req, res) => {
+app.post("/api/market-scan", validateJobRequest, payment, async (req, res) => {
   const body = parseRequestBody(req.body);
-  const code = body.code || req.query.code;
-  const language = body.language || req.query.language || "auto";
-  
-  if (!code) {
-    return res.status(200).json({
+  const params = readMarketScanParams(body, req.query);
+  if (readJobOptions(req).async) {
+    return enqueuePaidJob(req, res, "market-scan", params);
+  }
+  const scan = await scanMarket(params);
+  return sendPaidResult(req, res, scan);
+});
+
+app.post(
+  "/api/orderbook-analysis",
+  requireSymbol("Send JSON body with {\"symbol\":\"BTC\",\"notional\":10000} or ?symbol=BTC"),
+  payment,
+  async (req, res) => {
+    const body = parseRequestBody(req.body);
+    const symbol = body.symbol || req.query.symbol;
+    const notional = body.notional || req.query.notional;
+    const source = body.source || req.query.source;
+
+    const analysis = await getOrderBookAnalysis(symbol, { notional, source });
+    return sendPaidResult(req, res, analysis);
+  }
+);
+
+app.post(
+  "/api/backtest",
+  requireSymbol(
+    "Send JSON body with {\"symbol\":\"BTC\",\"timeframe\":\"1h\",\"start\":\"2025-01-01\",\"end\":\"2025-02-01\"}"
+  ),
+  validateJobRequest,
+  payment,
+  async (req, res) => {
+    const body = parseRequestBody(req.body);
+    const symbol = body.symbol || req.query.symbol;
+    const options = readBacktestOptions(body, req.query);
+    if (readJobOptions(req).async) {
+      return enqueuePaidJob(req, res, "backtest", { symbol, options });
+    }
+
+    const result = await getBacktest(symbol, options);
+    return sendPaidResult(req, res, result);
+  }
+);
+
+// Runs before payment so requests that cannot be served are never charged
+function validateCodeReviewRequest(req, res, next) {
+  const input = readCodeReviewInput(parseRequestBody(req.body), req.query);
+  if (!listReviewTiers().includes(input.tier)) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unknown review tier ${input.tier}`,
+      supportedTiers: listReviewTiers(),
+    });
+  }
+  if (input.fix && input.diff && !input.files && !input.code) {
+    return res.status(400).json({
+      ok: false,
+      error: "fix mode needs full file contents",
+      hint: "Send code or files [{path, content}] instead of a diff when fix is true.",
+    });
+  }
+  const tokens = estimateReviewInputTokens(input);
+  if (tokens > MAX_INPUT_TOKENS) {
+    return res.status(413).json({
+      ok: false,
+      error: `Input too large: ~${tokens} tokens (maximum ${MAX_INPUT_TOKENS})`,
+      hint: "Split the review into smaller batches of files or a smaller diff.",
+    });
+  }
+  return next();
+}
+
+// Empty input is rejected before payment as well
+function requireCodeReviewInput(req, res, next) {
+  const { code, files, diff } = readCodeReviewInput(parseRequestBody(req.body), req.query);
+  if (!code && !files && !diff) {
+    return res.status(400).json({
       ok: false,
       error: "Code is required",
-      hint: "Send JSON body with {\"code\":\"...\",\"language\":\"javascript\"} or ?code=...",
+      hint: "Send JSON body with {\"code\":\"...\",\"language\":\"javascript\"}, {\"files\":[{\"path\":\"...\",\"content\":\"...\"}]} or {\"diff\":\"...\"}",
       bodyType: typeof req.body,
     });
   }
-  
-  const review = await getCodeReview(code, language);
-  res.json(review);
+  return next();
+}
+
+app.post(
+  "/api/code-review",
+  validateCodeReviewRequest,
+  requireCodeReviewInput,
+  validateJobRequest,
+  payment,
+  async (req, res) => {
+    const body = parseRequestBody(req.body);
+    const input = readCodeReviewInput(body, req.query);
+    const { code, language, files, diff, tier, fix } = input;
+    if (readJobOptions(req).async) {
+      return enqueuePaidJob(req, res, "code-review", input);
+    }
+
+    const review = await getCodeReview(code, language, { files, diff, tier, fix });
+    return sendPaidResult(req, res, review);
+  }
+);
+
+const SSE_KEEPALIVE_MS = 15000;
+
+app.post(
+  "/api/code-review/stream",
+  validateCodeReviewRequest,
+  requireCodeReviewInput,
+  streamingPayment,
+  async (req, res) => {
+    const body = parseRequestBody(req.body);
+    const { code, language, files, diff, tier, fix } = readCodeReviewInput(body, req.query);
+    const settlement = res.locals.x402Settlement;
+    const prepaid = req.prepaid;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    let open = true;
+    res.on("close", () => {
+      open = false;
+    });
+    const send = (event, data) => {
+      if (open) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+    // Comment lines keep proxies and clients from timing out between events
+    const keepalive = setInterval(() => open && res.write(": keepalive\n\n"), SSE_KEEPALIVE_MS);
+    // The stream is already paid for, so a failure is credited back
+    const sendFailure = async (failure) => {
+      res.locals.paidResult = { status: statusForResult(failure), error: failure.error };
+      let credit = null;
+      try {
+        credit = await creditFailedCall(req, {
+          status: statusForResult(failure),
+          error: failure.error,
+          settlement,
+        });
+      } catch (error) {
+        console.error("credit_record_failed", { path: req.path, message: error.message });
+      }
+      send("error", credit ? { ...failure, credit } : failure);
+    };
+
+    send("payment", prepaid ? { settled: false, prepaid } : { settled: true, ...settlement });
+    try {
+      const review = await getCodeReview(code, language, { files, diff, tier, fix, onEvent: send });
+      if (review.error) {
+        await sendFailure(review);
+      } else {
+        send("result", review);
+      }
+    } catch (error) {
+      await sendFailure({ error: error.message });
+    } finally {
+      clearInterval(keepalive);
+      res.end();
+    }
+  }
+);
+
+// Credit voucher balance and history - FREE; send the code as X-Credit-Voucher
+app.get("/api/credits", (req, res) => {
+  const code = req.get("x-credit-voucher");
+  if (!code) {
+    return res.status(400).json({ ok: false, error: "X-Credit-Voucher header is required" });
+  }
+  const voucher = creditLedger.lookup(code);
+  if (!voucher) {
+    return res.status(404).json({ ok: false, error: "Unknown or expired credit voucher" });
+  }
+  return res.json(voucher);
+});
+
+// Runs before payment: the deposit must be within the allowed range
+function validateTopUpRequest(req, res, next) {
+  const amount = readTopUpAmount(parseRequestBody(req.body), req.query);
+  const { min, max } = routePrice("POST /api/account/top-up");
+  if (!(amount >= min && amount <= max)) {
+    return res.status(400).json({
+      ok: false,
+      error: `amount must be between ${min / 1e6} and ${max / 1e6} (USD)`,
+      hint: "Send JSON body with {\"amount\":10} to deposit $10; add \"rotateKey\":true to replace a lost API key.",
+    });
+  }
+  return next();
+}
+
+// A settled deposit that cannot be credited to an account is credited back
+// as a voucher instead
+async function sendTopUpFailure(req, res, { status, error, message }) {
+  const settlement = res.locals.x402Settlement;
+  let credit = null;
+  try {
+    credit = await creditFailedCall(req, { status, error, settlement });
+  } catch (creditError) {
+    console.error("credit_record_failed", { path: req.path, message: creditError.message });
+  }
+  return res.status(status).json({ ok: false, error: message, credit });
+}
+
+// Settled before the balance is credited, so a deposit is never counted unpaid
+app.post("/api/account/top-up", validateTopUpRequest, streamingPayment, async (req, res) => {
+  const body = parseRequestBody(req.body);
+  const settlement = res.locals.x402Settlement;
+  const wallet = settlement.payer || readSignedPayment(req)?.payer;
+  // Accounts are keyed by wallet, so a deposit without one has no owner
+  if (!wallet) {
+    return sendTopUpFailure(req, res, {
+      status: 422,
+      error: "Paying wallet could not be identified",
+      message: "Top-up could not be credited to an account: the paying wallet is unknown",
+    });
+  }
+  try {
+    const { account, apiKey } = await accountLedger.topUp({
+      wallet,
+      amount: String(readTopUpAmount(body, req.query)),
+      transaction: settlement.transaction,
+      network: settlement.network,
+      rotateKey: body.rotateKey === true,
+    });
+    return res.json({
+      ok: true,
+      account,
+      ...(apiKey ? { apiKey, note: "Store this API key now; it is not shown again." } : {}),
+    });
+  } catch (error) {
+    console.error("account_top_up_failed", { payer: wallet, message: error.message });
+    return sendTopUpFailure(req, res, { status: 500, error: error.message, message: "Top-up could not be recorded" });
+  }
+});
+
+function requireAccountKey(req, res, next) {
+  const key = readApiKey((name) => req.get(name));
+  if (!key) {
+    return res.status(401).json({
+      ok: false,
+      error: "API key is required",
+      hint: "Send X-API-Key (or Authorization: Bearer rk_...) from /api/account/top-up.",
+    });
+  }
+  res.locals.apiKey = key;
+  return next();
+}
+
+// Account balance - FREE with the account's API key
+app.get("/api/account", requireAccountKey, (req, res) => {
+  const account = accountLedger.lookup(res.locals.apiKey);
+  if (!account) {
+    return res.status(401).json({ ok: false, error: "Unknown API key" });
+  }
+  return res.json(account);
+});
+
+// Recent debits, refunds and top-ups (newest first) with per-route totals
+app.get("/api/account/usage", requireAccountKey, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_USAGE_ENTRIES);
+  const usage = accountLedger.usage(res.locals.apiKey, limit);
+  if (!usage) {
+    return res.status(401).json({ ok: false, error: "Unknown API key" });
+  }
+  return res.json(usage);
+});
+
+// Runs before payment: only known plans can be bought
+function validatePassRequest(req, res, next) {
+  const plan = readPassPlan(parseRequestBody(req.body), req.query);
+  const { plans, default: defaultPlan } = services.config.passes;
+  if (!plans[plan]) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unknown pass plan: ${plan}`,
+      hint: `Send JSON body with {"plan":"${defaultPlan}"}; plans: ${Object.keys(plans).join(", ")}`,
+    });
+  }
+  return next();
+}
+
+// Settled before the token is issued, so a pass is never handed out unpaid
+app.post("/api/pass", validatePassRequest, streamingPayment, (req, res) => {
+  const name = readPassPlan(parseRequestBody(req.body), req.query);
+  const settlement = res.locals.x402Settlement;
+  const { token, pass } = passIssuer.issue({
+    plan: { name, ...services.config.passes.plans[name] },
+    wallet: settlement.payer || readSignedPayment(req)?.payer,
+  });
+  console.log("pass_issued", { id: pass.id, plan: pass.plan, wallet: pass.wallet, expiresAt: pass.expiresAt });
+  return res.json({
+    ok: true,
+    token,
+    pass,
+    note: "Send this token as X-Access-Pass (or Authorization: Bearer) on the covered routes; it is not shown again.",
+  });
+});
+
+// Pass status and expiry - FREE with the pass token
+app.get("/api/pass", (req, res) => {
+  const token = readPassToken((name) => req.get(name));
+  if (!token) {
+    return res.status(401).json({
+      ok: false,
+      error: "Access pass is required",
+      hint: "Send X-Access-Pass (or Authorization: Bearer rp_...) from POST /api/pass.",
+    });
+  }
+  const { pass, active, error } = passIssuer.verify(token);
+  if (error) {
+    return res.status(401).json({ ok: false, error });
+  }
+  return res.json({
+    ...pass,
+    status: active ? "active" : "expired",
+    remainingSeconds: Math.max(0, Math.floor((Date.parse(pass.expiresAt) - Date.now()) / 1000)),
+  });
+});
+
+// Job status and results - FREE; the unguessable job id is the credential
+app.get("/api/jobs/:id", async (req, res, next) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ ok: false, error: "Job not found or expired" });
+    }
+    if (!job.finishedAt) {
+      res.setHeader("Retry-After", "5");
+    }
+    return res.json(job);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+function requireAdmin(req, res, next) {
+  if (!adminToken) {
+    return res.status(503).json({ ok: false, error: "ADMIN_TOKEN is not configured on the server" });
+  }
+  const providedToken = req.get("x-admin-token") || extractBearerToken(req.get("authorization"));
+  if (!tokenMatches(adminToken, providedToken)) {
+    return res.status(401).json({
+      ok: false,
+      error: "Unauthorized",
+      hint: "Provide X-Admin-Token (or Bearer token).",
+    });
+  }
+  return next();
+}
+
+// from/to are ISO times or UTC dates; a bare `to` date includes that day
+function readLedgerRange(query) {
+  const parse = (value, endOfDay) => {
+    if (!value) {
+      return undefined;
+    }
+    const time = Date.parse(value);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 86400000 : time;
+  };
+  return { from: parse(query.from, false), to: parse(query.to, true) };
+}
+
+// Revenue report from the payment ledger: settled totals by route, payer and
+// day. format=csv exports the settled entries (outcome=all for every entry).
+app.get("/admin/revenue", requireAdmin, async (req, res, next) => {
+  const range = readLedgerRange(req.query);
+  if (Number.isNaN(range.from) || Number.isNaN(range.to)) {
+    return res.status(400).json({
+      ok: false,
+      error: "from and to must be dates (YYYY-MM-DD) or ISO times",
+    });
+  }
+  try {
+    if (req.query.format === "csv") {
+      const name = ["revenue", req.query.from, req.query.to].filter(Boolean).join("-");
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${name.replace(/[^\w.-]/g, "_")}.csv"`);
+      for await (const line of paymentLedger.csv({ ...range, all: req.query.outcome === "all" })) {
+        res.write(line);
+      }
+      return res.end();
+    }
+    const summary = await paymentLedger.summarize(range);
+    return res.json({
+      from: range.from != null ? new Date(range.from).toISOString() : null,
+      to: range.to != null ? new Date(range.to).toISOString() : null,
+      units: "atomic units (6 decimals): usdAmount in USD, amounts per currency received",
+      ...summary,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Reloads services.yaml now, as a file change or SIGHUP would; 422 with the
+// validation error when the file is rejected and the running config is kept.
+app.post("/admin/services/reload", requireAdmin, async (req, res) => {
+  const result = await scheduleServicesReload("admin");
+  return res.status(result.ok ? 200 : 422).json(result);
 });
 
 // Temporary testing endpoint: bypasses x402 but requires a shared token.
-app.post("/api/code-review-test", async (req, res) => {
+app.post("/api/code-review-test", validateCodeReviewRequest, async (req, res) => {
   if (!codeReviewTestToken) {
     return res.status(503).json({
       ok: false,
@@ -1026,19 +2361,18 @@ app.post("/api/code-review-test", async (req, res) => {
   }
 
   const body = parseRequestBody(req.body);
-  const code = body.code || req.query.code;
-  const language = body.language || req.query.language || "auto";
+  const { code, language, files, diff, tier, fix } = readCodeReviewInput(body, req.query);
 
-  if (!code) {
+  if (!code && !files && !diff) {
     return res.status(200).json({
       ok: false,
       error: "Code is required",
-      hint: "Send JSON body with {\"code\":\"...\",\"language\":\"javascript\"} or ?code=...",
+      hint: "Send JSON body with {\"code\":\"...\",\"language\":\"javascript\"}, {\"files\":[...]} or {\"diff\":\"...\"}",
       bodyType: typeof req.body,
     });
   }
 
-  const review = await getCodeReview(code, language);
+  const review = await getCodeReview(code, language, { files, diff, tier, fix });
   return res.json({
     ok: true,
     mode: "test",
@@ -1049,8 +2383,15 @@ app.post("/api/code-review-test", async (req, res) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`✅ Rook's Monetized Agent Services running on port ${PORT}`);
-  console.log(`💰 Payment address: ${PAY_TO}`);
-  console.log(`🔗 X402 network: ${x402Network}`);
+  console.log(
+    `💰 Payment address: ${[...new Set(services.paymentOptions.map((option) => option.payTo))].join(", ")}`
+  );
+  console.log(`📄 Services config: ${SERVICES_CONFIG_FILE} (reloaded on change or SIGHUP)`);
+  console.log(
+    `🔗 X402 payments: ${services.paymentOptions
+      .map((option) => `${option.symbol} on ${option.networkName} (${option.network})`)
+      .join(", ")}`
+  );
   console.log(`🏦 Facilitator: ${cdpFacilitatorUrl}`);
   console.log(
     `🧾 Code-review transfer method: ${
@@ -1060,6 +2401,17 @@ app.listen(PORT, () => {
   if (enableFacilitatorFallback) {
     console.log(`🏦 Fallback facilitator: ${fallbackFacilitatorUrl}`);
   }
+  jobQueue
+    .start()
+    .then((recovered) => {
+      console.log("🗂️ Job queue started", recovered);
+    })
+    .catch((error) => {
+      console.error("job_queue_start_failed", { message: error.message });
+    });
+  if (startOpenInterestSampling(openInterestSampleIntervalMs)) {
+    console.log(`📊 HyperLiquid open-interest sampling every ${openInterestSampleIntervalMs}ms`);
+  }
   if (!hasCdpAuth && process.env.CDP_API_KEY) {
     console.log(
       "⚠️ CDP_API_KEY is set but x402 v2 requires CDP_API_KEY_ID + CDP_API_KEY_SECRET for mainnet facilitator auth."
@@ -1070,18 +2422,31 @@ app.listen(PORT, () => {
   }
   console.log(`\n📋 Available endpoints:`);
   console.log(`   GET  /health               - Free health check`);
-  console.log(`   GET  /api/ping             - $0.01 - Payment test`);
-  console.log(`   POST /api/code-review       - $0.50 - AI code review (OpenAI o3-mini)`);
+  console.log(`   GET  /api/ping             - ${priceLabel("GET /api/ping")} - Payment test`);
+  console.log(`   POST /api/code-review       - ${formatUsd(routePrice("POST /api/code-review").base)}+ (by input size) - AI code review (${codeReviewModelLabels.standard})`);
+  console.log(`   POST /api/code-review/stream - ${formatUsd(routePrice("POST /api/code-review/stream").base)}+ (by input size) - Streaming code review (SSE)`);
   console.log(`   POST /api/code-review-test  - Free (token required) - Temporary code-review test`);
-  console.log(`   POST /api/trading-analysis  - $0.25 - Real-time trading analysis`);
+  console.log(`   POST /api/trading-analysis  - ${formatUsd(routePrice("POST /api/trading-analysis").base)}+ (by timeframes) - Real-time trading analysis`);
+  console.log(`   POST /api/orderbook-analysis - ${priceLabel("POST /api/orderbook-analysis")} - Order book depth and liquidity`);
+  console.log(`   POST /api/backtest           - ${formatUsd(routePrice("POST /api/backtest").base)}+ (by bars) - Signal backtest`);
+  console.log(`   POST /api/market-scan       - ${formatUsd(routePrice("POST /api/market-scan").perSymbol)}/symbol - Market scanner`);
+  console.log(`   GET  /api/jobs/:id           - Free - Async job status and result`);
+  console.log(`   GET  /api/credits            - Free - Credit voucher balance`);
+  console.log(`   POST /api/account/top-up     - ${priceLabel("POST /api/account/top-up")} - Prepaid account deposit (API key)`);
+  console.log(`   GET  /api/account[/usage]    - Free (API key) - Account balance and usage`);
+  console.log(`   POST /api/pass               - ${priceLabel("POST /api/pass")} - Time pass (unlimited covered calls)`);
+  console.log(`   GET  /api/pass               - Free (pass token) - Pass status and expiry`);
+  console.log(`   GET  /admin/revenue          - Admin token - Revenue totals and CSV export`);
+  console.log(`   POST /admin/services/reload  - Admin token - Reload services.yaml`);
   console.log(
     `🔐 CODE_REVIEW_TEST_TOKEN: ${
       codeReviewTestToken ? "configured" : "not configured (test route returns 503)"
     }`
   );
+  console.log(`🔐 ADMIN_TOKEN: ${adminToken ? "configured" : "not configured (admin routes return 503)"}`);
   console.log(`\n🧪 Test with: curl http://localhost:${PORT}/health`);
   console.log(`\n📈 Trading analysis powered by HyperLiquid`);
-  console.log(`\n🤖 Code review powered by OpenAI gpt-5-mini`);
+  console.log(`\n🤖 Code review powered by ${codeReviewModelLabels.standard} (deep tier: ${codeReviewModelLabels.deep})`);
 });
 
 app.use((err, req, res, next) => {
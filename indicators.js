@@ -0,0 +1,228 @@
+// Technical indicators computed from HyperLiquid-style candles ({ t, o, h, l, c, v })
+
+function round(value, decimals = 4) {
+  if (value == null || !Number.isFinite(value)) {
+    return null;
+  }
+  return Number(value.toFixed(decimals));
+}
+
+function calculateEMA(prices, period) {
+  const multiplier = 2 / (period + 1);
+  let ema = prices[0];
+
+  for (let i = 1; i < prices.length; i++) {
+    ema = (prices[i] - ema) * multiplier + ema;
+  }
+
+  return ema;
+}
+
+// Full EMA series, seeded with the SMA of the first `period` values.
+// Entries before the seed are null so the series lines up with the input.
+function calculateEMASeries(values, period) {
+  const series = new Array(values.length).fill(null);
+  if (values.length < period) {
+    return series;
+  }
+
+  const multiplier = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  series[period - 1] = ema;
+
+  for (let i = period; i < values.length; i++) {
+    ema = (values[i] - ema) * multiplier + ema;
+    series[i] = ema;
+  }
+
+  return series;
+}
+
+// Wilder's RSI
+function calculateRSI(closes, period = 14) {
+  if (closes.length <= period) {
+    return null;
+  }
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change >= 0) {
+      avgGain += change;
+    } else {
+      avgLoss -= change;
+    }
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  if (avgLoss === 0) {
+    return avgGain === 0 ? 50 : 100;
+  }
+  const rs = avgGain / avgLoss;
+  return 100 - (100 / (1 + rs));
+}
+
+function calculateMACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  if (closes.length < slowPeriod + signalPeriod) {
+    return null;
+  }
+
+  const fast = calculateEMASeries(closes, fastPeriod);
+  const slow = calculateEMASeries(closes, slowPeriod);
+  const macdLine = [];
+  for (let i = slowPeriod - 1; i < closes.length; i++) {
+    macdLine.push(fast[i] - slow[i]);
+  }
+
+  const signalSeries = calculateEMASeries(macdLine, signalPeriod);
+  const last = macdLine.length - 1;
+  const macd = macdLine[last];
+  const signal = signalSeries[last];
+  const histogram = macd - signal;
+  const prevHistogram = last > 0 && signalSeries[last - 1] != null
+    ? macdLine[last - 1] - signalSeries[last - 1]
+    : null;
+
+  let crossover = 'none';
+  if (prevHistogram != null) {
+    if (prevHistogram <= 0 && histogram > 0) {
+      crossover = 'bullish';
+    } else if (prevHistogram >= 0 && histogram < 0) {
+      crossover = 'bearish';
+    }
+  }
+
+  return { macd, signal, histogram, crossover };
+}
+
+function calculateBollingerBands(closes, period = 20, stdDevMultiplier = 2) {
+  if (closes.length < period) {
+    return null;
+  }
+
+  const window = closes.slice(-period);
+  const middle = window.reduce((sum, v) => sum + v, 0) / period;
+  const variance = window.reduce((sum, v) => sum + (v - middle) ** 2, 0) / period;
+  const stdDev = Math.sqrt(variance);
+  const upper = middle + stdDevMultiplier * stdDev;
+  const lower = middle - stdDevMultiplier * stdDev;
+  const last = closes[closes.length - 1];
+
+  return {
+    upper,
+    middle,
+    lower,
+    bandwidth: middle !== 0 ? (upper - lower) / middle : null,
+    percentB: upper !== lower ? (last - lower) / (upper - lower) : 0.5
+  };
+}
+
+// Wilder's Average True Range
+function calculateATR(candles, period = 14) {
+  if (candles.length <= period) {
+    return null;
+  }
+
+  const trueRanges = [];
+  for (let i = 1; i < candles.length; i++) {
+    const high = parseFloat(candles[i].h);
+    const low = parseFloat(candles[i].l);
+    const prevClose = parseFloat(candles[i - 1].c);
+    trueRanges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+
+  let atr = trueRanges.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+
+  return atr;
+}
+
+// Volume-weighted average price over the current UTC session (day of the last candle)
+function calculateSessionVWAP(candles) {
+  if (!candles.length) {
+    return null;
+  }
+
+  const lastOpen = Number(candles[candles.length - 1].t);
+  const sessionStart = Number.isFinite(lastOpen)
+    ? Date.UTC(
+        new Date(lastOpen).getUTCFullYear(),
+        new Date(lastOpen).getUTCMonth(),
+        new Date(lastOpen).getUTCDate()
+      )
+    : -Infinity;
+
+  let volumeSum = 0;
+  let priceVolumeSum = 0;
+  for (const candle of candles) {
+    if (Number(candle.t) < sessionStart) {
+      continue;
+    }
+    const typical = (parseFloat(candle.h) + parseFloat(candle.l) + parseFloat(candle.c)) / 3;
+    const volume = parseFloat(candle.v) || 0;
+    volumeSum += volume;
+    priceVolumeSum += typical * volume;
+  }
+
+  if (volumeSum === 0) {
+    return null;
+  }
+  return priceVolumeSum / volumeSum;
+}
+
+function calculateIndicators(candles) {
+  const closes = candles.map(c => parseFloat(c.c));
+  const lastClose = closes[closes.length - 1];
+
+  const rsi = calculateRSI(closes, 14);
+  const macd = calculateMACD(closes, 12, 26, 9);
+  const bollinger = calculateBollingerBands(closes, 20, 2);
+  const atr = calculateATR(candles, 14);
+  const vwap = calculateSessionVWAP(candles);
+
+  return {
+    ema20: calculateEMA(closes, 20),
+    rsi14: round(rsi, 2),
+    macd: macd
+      ? {
+          macd: round(macd.macd, 6),
+          signal: round(macd.signal, 6),
+          histogram: round(macd.histogram, 6),
+          crossover: macd.crossover
+        }
+      : null,
+    bollinger: bollinger
+      ? {
+          upper: round(bollinger.upper, 6),
+          middle: round(bollinger.middle, 6),
+          lower: round(bollinger.lower, 6),
+          bandwidth: round(bollinger.bandwidth, 4),
+          percentB: round(bollinger.percentB, 4)
+        }
+      : null,
+    atr14: round(atr, 6),
+    atrPercent: atr != null && lastClose ? round((atr / lastClose) * 100, 4) : null,
+    vwap: round(vwap, 6)
+  };
+}
+
+module.exports = {
+  calculateEMA,
+  calculateEMASeries,
+  calculateRSI,
+  calculateMACD,
+  calculateBollingerBands,
+  calculateATR,
+  calculateSessionVWAP,
+  calculateIndicators
+};
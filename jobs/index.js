@@ -0,0 +1,316 @@
+// Durable background jobs for paid requests.
+//
+// Lifecycle: pending (created while the request is being paid for) ->
+// queued (payment settled) -> running -> succeeded | failed. A pending job
+// whose payment does not settle is dropped. Every transition is persisted, so
+// jobs with a recorded payment are picked up again after a restart, and
+// finished jobs stay readable for the retention period.
+const crypto = require('crypto');
+const path = require('path');
+const { createFileJobStore, isJobId } = require('./store');
+const { validateWebhookUrl, postWebhook, WEBHOOK_RETRY_DELAYS_MS } = require('./webhooks');
+
+function readInt(envName, fallback) {
+  const parsed = parseInt(process.env[envName], 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const JOBS_DIR = process.env.JOBS_DIR || path.join(process.cwd(), 'data', 'jobs');
+const JOB_RETENTION_MS = readInt('JOB_RETENTION_MS', 24 * 60 * 60 * 1000);
+const JOB_CONCURRENCY = Math.max(1, readInt('JOB_CONCURRENCY', 2));
+// A job interrupted by this many restarts is failed instead of run again
+const MAX_JOB_ATTEMPTS = 3;
+// Pending jobs normally resolve within one request; this only catches leaks
+const PENDING_TTL_MS = 15 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+
+function timestamp() {
+  return new Date().toISOString();
+}
+
+// What clients see: never the params or the webhook secret
+function publicJob(job) {
+  const view = {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    expiresAt: job.expiresAt || null,
+    payment: job.payment || null
+  };
+  if (job.credit) {
+    view.credit = job.credit;
+  }
+  if (job.webhook) {
+    view.webhook = {
+      url: job.webhook.url,
+      attempts: job.webhook.attempts,
+      deliveredAt: job.webhook.deliveredAt || null,
+      lastStatus: job.webhook.lastStatus ?? null,
+      lastError: job.webhook.lastError || null
+    };
+  }
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    view.result = job.result ?? null;
+    view.error = job.error || null;
+  }
+  return view;
+}
+
+// onFailure(job), when given, runs as a job fails; what it returns is kept on
+// the record as `credit` (see credits.js).
+function createJobQueue({
+  store = createFileJobStore(JOBS_DIR),
+  concurrency = JOB_CONCURRENCY,
+  retentionMs = JOB_RETENTION_MS,
+  onFailure
+} = {}) {
+  const handlers = new Map();
+  // Unfinished jobs live in memory; finished ones are read back from the store
+  const live = new Map();
+  const expiries = new Map();
+  const waiting = [];
+  let running = 0;
+  let sweeper = null;
+
+  async function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: timestamp() });
+    await store.save(job);
+    return job;
+  }
+
+  function registerHandler(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  async function create({ type, params, webhookUrl }) {
+    if (!handlers.has(type)) {
+      throw new Error(`No job handler registered for ${type}`);
+    }
+    const createdAt = timestamp();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'pending',
+      params,
+      attempts: 0,
+      createdAt,
+      updatedAt: createdAt,
+      webhook: webhookUrl
+        ? { url: webhookUrl, secret: crypto.randomBytes(32).toString('hex'), attempts: 0 }
+        : null
+    };
+    live.set(job.id, job);
+    await store.save(job);
+    return job;
+  }
+
+  // payment: how the job was paid for, kept on the record (see index.js)
+  async function confirm(id, payment = null) {
+    const job = live.get(id);
+    if (!job || job.status !== 'pending') {
+      return;
+    }
+    await update(job, { status: 'queued', payment });
+    waiting.push(job);
+    drain();
+  }
+
+  async function cancel(id) {
+    const job = live.get(id);
+    if (!job || job.status !== 'pending') {
+      return;
+    }
+    live.delete(id);
+    await store.remove(id);
+  }
+
+  function drain() {
+    while (running < concurrency && waiting.length) {
+      const job = waiting.shift();
+      running += 1;
+      execute(job)
+        .catch(error => console.error('job_execute_failed', { id: job.id, type: job.type, message: error.message }))
+        .finally(() => {
+          running -= 1;
+          drain();
+        });
+    }
+  }
+
+  async function execute(job) {
+    await update(job, { status: 'running', startedAt: timestamp(), attempts: job.attempts + 1 });
+    let result = null;
+    let error = null;
+    try {
+      result = await handlers.get(job.type)(job.params);
+      // Handlers report expected failures in the result, like the inline routes
+      if (result && result.error) {
+        error = String(result.error);
+      }
+    } catch (thrown) {
+      error = thrown.message || 'Job failed';
+    }
+    await finish(job, { status: error ? 'failed' : 'succeeded', result, error });
+  }
+
+  async function finish(job, changes) {
+    if (changes.status === 'failed' && onFailure) {
+      try {
+        changes.credit = (await onFailure({ ...job, ...changes })) || null;
+      } catch (error) {
+        console.error('job_failure_hook_failed', { id: job.id, message: error.message });
+      }
+    }
+    const finishedAt = Date.now();
+    await update(job, {
+      ...changes,
+      finishedAt: new Date(finishedAt).toISOString(),
+      expiresAt: new Date(finishedAt + retentionMs).toISOString()
+    });
+    live.delete(job.id);
+    expiries.set(job.id, finishedAt + retentionMs);
+    console.log('job_finished', {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      durationMs: job.startedAt ? finishedAt - Date.parse(job.startedAt) : null
+    });
+    if (job.webhook) {
+      deliverWebhook(job);
+    }
+  }
+
+  function deliverWebhook(job) {
+    const attempt = async () => {
+      // The record may have expired while a retry was waiting
+      if (!expiries.has(job.id)) {
+        return;
+      }
+      const outcome = await postWebhook(job.webhook.url, job.webhook.secret, publicJob(job));
+      // Removed by the retention sweep during the POST; saving would write it back
+      if (!expiries.has(job.id)) {
+        return;
+      }
+      const webhook = {
+        ...job.webhook,
+        attempts: job.webhook.attempts + 1,
+        lastAttemptAt: timestamp(),
+        lastStatus: outcome.status ?? null,
+        lastError: outcome.error || null
+      };
+      if (outcome.ok) {
+        webhook.deliveredAt = webhook.lastAttemptAt;
+      }
+      await update(job, { webhook });
+
+      const delay = WEBHOOK_RETRY_DELAYS_MS[webhook.attempts - 1];
+      if (outcome.ok) {
+        return;
+      }
+      if (delay == null) {
+        console.warn('job_webhook_gave_up', { id: job.id, attempts: webhook.attempts, error: webhook.lastError });
+        return;
+      }
+      setTimeout(() => {
+        attempt().catch(error => console.error('job_webhook_failed', { id: job.id, message: error.message }));
+      }, delay).unref();
+    };
+    attempt().catch(error => console.error('job_webhook_failed', { id: job.id, message: error.message }));
+  }
+
+  async function get(id) {
+    if (!isJobId(id)) {
+      return null;
+    }
+    const job = live.get(id) || (await store.load(id));
+    if (!job || (job.expiresAt && Date.parse(job.expiresAt) <= Date.now())) {
+      return null;
+    }
+    return publicJob(job);
+  }
+
+  async function sweep() {
+    const now = Date.now();
+    for (const [id, expiresAt] of expiries) {
+      if (expiresAt <= now) {
+        expiries.delete(id);
+        await store.remove(id);
+      }
+    }
+    for (const job of live.values()) {
+      if (job.status === 'pending' && now - Date.parse(job.createdAt) > PENDING_TTL_MS) {
+        await cancel(job.id);
+      }
+    }
+  }
+
+  // Loads persisted jobs: resumes unfinished ones, retries undelivered
+  // webhooks and starts the retention sweep.
+  async function start() {
+    const recovered = { resumed: 0, failed: 0, dropped: 0, retained: 0 };
+    const records = (await store.list()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of records) {
+      if (live.has(job.id)) {
+        continue;
+      }
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        const expiresAt = Date.parse(job.expiresAt);
+        if (!(expiresAt > Date.now())) {
+          await store.remove(job.id);
+          continue;
+        }
+        expiries.set(job.id, expiresAt);
+        recovered.retained += 1;
+        if (job.webhook && !job.webhook.deliveredAt && job.webhook.attempts <= WEBHOOK_RETRY_DELAYS_MS.length) {
+          deliverWebhook(job);
+        }
+      } else if (job.status === 'pending' && !job.payment) {
+        // Interrupted before its payment settled, so nothing was charged for it
+        await store.remove(job.id);
+        recovered.dropped += 1;
+      } else if (job.attempts >= MAX_JOB_ATTEMPTS || !handlers.has(job.type)) {
+        await finish(job, {
+          status: 'failed',
+          result: null,
+          error: handlers.has(job.type)
+            ? `Job was interrupted ${job.attempts} times by server restarts`
+            : `No job handler registered for ${job.type}`
+        });
+        recovered.failed += 1;
+      } else {
+        job.status = 'queued';
+        live.set(job.id, job);
+        waiting.push(job);
+        recovered.resumed += 1;
+      }
+    }
+
+    if (!sweeper) {
+      sweeper = setInterval(() => {
+        sweep().catch(error => console.error('job_sweep_failed', { message: error.message }));
+      }, Math.max(1000, Math.min(SWEEP_INTERVAL_MS, retentionMs)));
+      sweeper.unref();
+    }
+    drain();
+    return recovered;
+  }
+
+  function stats() {
+    const counts = { pending: 0, queued: 0, running: 0 };
+    for (const job of live.values()) {
+      counts[job.status] += 1;
+    }
+    return { ...counts, retained: expiries.size, concurrency, retentionMs };
+  }
+
+  return { registerHandler, create, confirm, cancel, get, start, stats };
+}
+
+module.exports = { createJobQueue, validateWebhookUrl, JOBS_DIR, JOB_RETENTION_MS };
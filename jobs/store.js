@@ -0,0 +1,90 @@
+// File-backed job store: one JSON document per job. Writes go to a temp file
+// that is renamed over the record, so a crash mid-write never leaves a torn
+// job behind, and writes to the same job are serialized.
+const fs = require('fs');
+const path = require('path');
+
+// Job ids are UUIDs; anything else never reaches the filesystem
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function isJobId(id) {
+  return typeof id === 'string' && JOB_ID.test(id);
+}
+
+function createFileJobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const writes = new Map();
+  const fileFor = id => path.join(dir, `${id}.json`);
+
+  function serialize(id, task) {
+    const previous = writes.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    writes.set(id, next);
+    next.finally(() => {
+      if (writes.get(id) === next) {
+        writes.delete(id);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  async function load(id) {
+    if (!isJobId(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    dir,
+
+    save(job) {
+      return serialize(job.id, async () => {
+        const target = fileFor(job.id);
+        const temp = `${target}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(job));
+        await fs.promises.rename(temp, target);
+      });
+    },
+
+    load,
+
+    // Unreadable records are skipped (and logged) rather than failing startup
+    async list() {
+      const names = await fs.promises.readdir(dir);
+      const jobs = [];
+      for (const name of names) {
+        const id = name.replace(/\.json$/, '');
+        if (name === id || !isJobId(id)) {
+          continue;
+        }
+        try {
+          const job = await load(id);
+          if (job) {
+            jobs.push(job);
+          }
+        } catch (error) {
+          console.warn('job_record_unreadable', { id, message: error.message });
+        }
+      }
+      return jobs;
+    },
+
+    remove(id) {
+      return serialize(id, () => fs.promises.unlink(fileFor(id)).catch(error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }));
+    }
+  };
+}
+
+module.exports = { createFileJobStore, isJobId };
@@ -0,0 +1,117 @@
+// Webhook delivery for finished jobs. Each POST is signed with the job's own
+// secret (HMAC-SHA256 of the raw body) so receivers can check it came from us.
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Delay before each retry after the first attempt
+const WEBHOOK_RETRY_DELAYS_MS = [5000, 30000, 120000];
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+
+// http:// and loopback / private hosts are only allowed for local development
+const ALLOW_PRIVATE_WEBHOOKS = (process.env.JOB_WEBHOOK_ALLOW_PRIVATE || 'false').toLowerCase() === 'true';
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) {
+    return true;
+  }
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  if (net.isIPv6(host)) {
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('::ffff:');
+  }
+  return false;
+}
+
+// Returns null when the URL is acceptable, otherwise the reason it is not.
+// Only literal addresses are checked here; postWebhook resolves host names
+// when it delivers (see resolveWebhookAddress).
+function validateWebhookUrl(value) {
+  if (typeof value !== 'string' || value.length > MAX_WEBHOOK_URL_LENGTH) {
+    return 'webhookUrl must be a URL string';
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'webhookUrl is not a valid URL';
+  }
+  if (url.username || url.password) {
+    return 'webhookUrl must not contain credentials';
+  }
+  if (ALLOW_PRIVATE_WEBHOOKS) {
+    return ['https:', 'http:'].includes(url.protocol) ? null : 'webhookUrl must use http or https';
+  }
+  if (url.protocol !== 'https:') {
+    return 'webhookUrl must use https';
+  }
+  if (isPrivateHost(url.hostname)) {
+    return 'webhookUrl must point to a public host';
+  }
+  return null;
+}
+
+// Resolves the webhook host at delivery time and returns { address, family }
+// to connect to, or { error }. Every address the name resolves to must be
+// public, so a host that points (or is rebound) at a private, loopback or
+// link-local address is refused.
+async function resolveWebhookAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+  if (!addresses.length) {
+    return { error: `webhook host ${hostname} did not resolve` };
+  }
+  if (!ALLOW_PRIVATE_WEBHOOKS && addresses.some(({ address }) => isPrivateHost(address))) {
+    return { error: `webhook host ${hostname} resolves to a private address` };
+  }
+  return addresses[0];
+}
+
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// One delivery attempt; resolves to { ok, status?, error? } and never throws.
+// The URL is checked again and the request connects to the address that was
+// checked, never to a second lookup of the name.
+async function postWebhook(url, secret, payload) {
+  const body = JSON.stringify(payload);
+  try {
+    const invalid = validateWebhookUrl(url);
+    if (invalid) {
+      return { ok: false, error: invalid };
+    }
+    const target = await resolveWebhookAddress(new URL(url).hostname);
+    if (target.error) {
+      return { ok: false, error: target.error };
+    }
+    const response = await axios.post(url, body, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      proxy: false,
+      lookup: (hostname, options, callback) => callback(null, target.address, target.family),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'rook-monetized-services-webhook',
+        'X-Job-Id': payload.id,
+        'X-Job-Signature': signPayload(secret, body)
+      },
+      validateStatus: () => true
+    });
+    return response.status >= 200 && response.status < 300
+      ? { ok: true, status: response.status }
+      : { ok: false, status: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+module.exports = { validateWebhookUrl, postWebhook, signPayload, WEBHOOK_RETRY_DELAYS_MS };
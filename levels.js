@@ -0,0 +1,209 @@
+// Support/resistance levels from fractal swing pivots and a volume profile
+const { calculateATR } = require('./indicators');
+
+const PIVOT_WINDOW = 2;
+const PROFILE_BINS = 24;
+const VALUE_AREA_SHARE = 0.7;
+const MAX_LEVELS_PER_SIDE = 5;
+
+function round(value, decimals = 4) {
+  if (value == null || !Number.isFinite(value)) {
+    return null;
+  }
+  return Number(value.toFixed(decimals));
+}
+
+// Bill Williams fractals: a high (low) that is above (below) the `window`
+// candles on both sides. The last `window` candles cannot be confirmed yet.
+function findSwingPivots(candles, window = PIVOT_WINDOW) {
+  const pivots = [];
+  for (let i = window; i < candles.length - window; i++) {
+    const high = parseFloat(candles[i].h);
+    const low = parseFloat(candles[i].l);
+    let isHigh = true;
+    let isLow = true;
+    for (let j = i - window; j <= i + window; j++) {
+      if (j === i) {
+        continue;
+      }
+      if (parseFloat(candles[j].h) >= high) {
+        isHigh = false;
+      }
+      if (parseFloat(candles[j].l) <= low) {
+        isLow = false;
+      }
+    }
+    if (isHigh) {
+      pivots.push({ type: 'swing_high', price: high, index: i });
+    }
+    if (isLow) {
+      pivots.push({ type: 'swing_low', price: low, index: i });
+    }
+  }
+  return pivots;
+}
+
+// Spread each candle's volume evenly across the price bins its range covers
+function calculateVolumeProfile(candles, bins = PROFILE_BINS) {
+  const lows = candles.map(c => parseFloat(c.l));
+  const highs = candles.map(c => parseFloat(c.h));
+  const min = Math.min(...lows);
+  const max = Math.max(...highs);
+  if (!(max > min)) {
+    return null;
+  }
+
+  const binSize = (max - min) / bins;
+  const volumes = new Array(bins).fill(0);
+
+  for (const candle of candles) {
+    const low = parseFloat(candle.l);
+    const high = parseFloat(candle.h);
+    const volume = parseFloat(candle.v) || 0;
+    if (!volume) {
+      continue;
+    }
+    const first = Math.min(bins - 1, Math.floor((low - min) / binSize));
+    const last = Math.min(bins - 1, Math.floor((high - min) / binSize));
+    const share = volume / (last - first + 1);
+    for (let b = first; b <= last; b++) {
+      volumes[b] += share;
+    }
+  }
+
+  const total = volumes.reduce((sum, v) => sum + v, 0);
+  if (!total) {
+    return null;
+  }
+
+  let pocIndex = 0;
+  for (let b = 1; b < bins; b++) {
+    if (volumes[b] > volumes[pocIndex]) {
+      pocIndex = b;
+    }
+  }
+
+  // Grow the value area from the POC towards whichever neighbour holds more volume
+  let lowIndex = pocIndex;
+  let highIndex = pocIndex;
+  let covered = volumes[pocIndex];
+  while (covered / total < VALUE_AREA_SHARE && (lowIndex > 0 || highIndex < bins - 1)) {
+    const below = lowIndex > 0 ? volumes[lowIndex - 1] : -1;
+    const above = highIndex < bins - 1 ? volumes[highIndex + 1] : -1;
+    if (above >= below) {
+      highIndex += 1;
+      covered += above;
+    } else {
+      lowIndex -= 1;
+      covered += below;
+    }
+  }
+
+  const binMid = b => min + binSize * (b + 0.5);
+  return {
+    min,
+    max,
+    binSize,
+    volumes,
+    poc: binMid(pocIndex),
+    valueAreaLow: min + binSize * lowIndex,
+    valueAreaHigh: min + binSize * (highIndex + 1),
+    valueAreaShare: covered / total
+  };
+}
+
+function volumeAt(profile, price) {
+  if (!profile || price < profile.min || price > profile.max) {
+    return 0;
+  }
+  const bin = Math.min(profile.volumes.length - 1, Math.floor((price - profile.min) / profile.binSize));
+  return profile.volumes[bin];
+}
+
+// Merge candidates closer than `tolerance` into one level
+function clusterCandidates(candidates, tolerance) {
+  const sorted = [...candidates].sort((a, b) => a.price - b.price);
+  const clusters = [];
+  for (const candidate of sorted) {
+    const current = clusters[clusters.length - 1];
+    if (current && candidate.price - current.maxPrice <= tolerance) {
+      current.members.push(candidate);
+      current.maxPrice = candidate.price;
+    } else {
+      clusters.push({ members: [candidate], maxPrice: candidate.price });
+    }
+  }
+  return clusters.map(({ members }) => {
+    // Volume-profile prices are exact; otherwise average the pivots
+    const anchor = members.find(m => m.type === 'poc') || null;
+    const price = anchor ? anchor.price : members.reduce((sum, m) => sum + m.price, 0) / members.length;
+    return { price, types: [...new Set(members.map(m => m.type))] };
+  });
+}
+
+// Rank levels by how often price reacted there, how much volume traded there
+// and how recently it was touched:
+//   strength = 0.5 * touches / maxTouches + 0.3 * volume / pocVolume + 0.2 * recency
+function calculateKeyLevels(candles, price) {
+  if (!candles || candles.length < 10) {
+    return null;
+  }
+
+  const atr = calculateATR(candles, 14);
+  const tolerance = atr ? atr * 0.5 : price * 0.0025;
+  const profile = calculateVolumeProfile(candles);
+
+  const candidates = findSwingPivots(candles).map(({ type, price: p }) => ({ type, price: p }));
+  if (profile) {
+    candidates.push({ type: 'poc', price: profile.poc });
+    candidates.push({ type: 'value_area_high', price: profile.valueAreaHigh });
+    candidates.push({ type: 'value_area_low', price: profile.valueAreaLow });
+  }
+
+  const levels = clusterCandidates(candidates, tolerance).map(level => {
+    let touches = 0;
+    let lastTouch = -1;
+    candles.forEach((candle, index) => {
+      if (parseFloat(candle.l) - tolerance <= level.price && parseFloat(candle.h) + tolerance >= level.price) {
+        touches += 1;
+        lastTouch = index;
+      }
+    });
+    return { ...level, touches, lastTouch, volume: volumeAt(profile, level.price) };
+  });
+
+  const maxTouches = Math.max(1, ...levels.map(l => l.touches));
+  const pocVolume = profile ? Math.max(...profile.volumes) : 0;
+
+  const ranked = levels.map(level => {
+    const recency = level.lastTouch >= 0 ? (level.lastTouch + 1) / candles.length : 0;
+    const strength = 0.5 * (level.touches / maxTouches) +
+      0.3 * (pocVolume ? level.volume / pocVolume : 0) +
+      0.2 * recency;
+    return {
+      price: round(level.price, 8),
+      types: level.types,
+      touches: level.touches,
+      strength: round(strength, 3),
+      distancePercent: round(((level.price - price) / price) * 100, 3)
+    };
+  });
+
+  const byStrength = (a, b) => b.strength - a.strength || Math.abs(a.distancePercent) - Math.abs(b.distancePercent);
+  return {
+    supports: ranked.filter(l => l.price < price).sort(byStrength).slice(0, MAX_LEVELS_PER_SIDE),
+    resistances: ranked.filter(l => l.price > price).sort(byStrength).slice(0, MAX_LEVELS_PER_SIDE),
+    volumeProfile: profile
+      ? {
+          poc: round(profile.poc, 8),
+          valueAreaHigh: round(profile.valueAreaHigh, 8),
+          valueAreaLow: round(profile.valueAreaLow, 8),
+          valueAreaShare: round(profile.valueAreaShare, 3),
+          bins: profile.volumes.length
+        }
+      : null,
+    tolerance: round(tolerance, 8)
+  };
+}
+
+module.exports = { findSwingPivots, calculateVolumeProfile, calculateKeyLevels };
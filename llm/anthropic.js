@@ -0,0 +1,41 @@
+// Anthropic Messages API adapter (plain HTTP, no SDK)
+const axios = require('axios');
+
+const ANTHROPIC_API = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const MAX_OUTPUT_TOKENS = 8192;
+
+function createAnthropicProvider({ apiKey, defaultModels }) {
+  // There is no JSON mode; the prompt asks for JSON and callers extract the object
+  async function complete({ model, system, messages }) {
+    if (!apiKey) {
+      throw Object.assign(new Error('Anthropic API key is not configured'), { code: 'not_configured' });
+    }
+    const response = await axios.post(ANTHROPIC_API, {
+      model,
+      max_tokens: MAX_OUTPUT_TOKENS,
+      system,
+      messages
+    }, {
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'content-type': 'application/json'
+      }
+    });
+    return response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  return {
+    name: 'anthropic',
+    label: 'Anthropic',
+    defaultModels,
+    credentialHint: 'Check your ANTHROPIC_API_KEY environment variable',
+    complete
+  };
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,106 @@
+// LLM provider registry and the code-review model tiers
+//
+// Every adapter exposes the same shape:
+//   name                  - provider key used in configuration (e.g. 'anthropic')
+//   label                 - human-readable vendor name used when advertising the model
+//   defaultModels         - { standard, deep } model ids used when no override is set
+//   credentialHint        - what to check when a call fails
+//   complete({ model, system, messages, json })
+//                         - resolves to the assistant text; messages are
+//                           [{ role: 'user'|'assistant', content }]
+//
+// Tiers pick a provider and model from the environment:
+//   CODE_REVIEW_PROVIDER / CODE_REVIEW_MODEL           - standard tier
+//   CODE_REVIEW_DEEP_PROVIDER / CODE_REVIEW_DEEP_MODEL - deep tier (defaults to the standard provider)
+// This is the single source of truth for the model a route advertises.
+const { createOpenAIProvider } = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+
+const DEFAULT_PROVIDER = (process.env.CODE_REVIEW_PROVIDER || 'openai').toLowerCase();
+
+const factories = {
+  openai: () => createOpenAIProvider({
+    name: 'openai',
+    label: 'OpenAI',
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModels: { standard: 'gpt-5-mini', deep: 'gpt-5' },
+    credentialHint: 'Check your OPENAI_API_KEY environment variable'
+  }),
+  // llama.cpp, Ollama, vLLM, LM Studio ... Local servers usually ignore the key
+  'openai-compatible': () => createOpenAIProvider({
+    name: 'openai-compatible',
+    label: process.env.LLM_COMPATIBLE_LABEL || 'Local',
+    apiKey: process.env.LLM_COMPATIBLE_API_KEY || 'not-needed',
+    baseURL: process.env.LLM_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+    defaultModels: {
+      standard: process.env.LLM_COMPATIBLE_MODEL || 'llama3.1',
+      deep: process.env.LLM_COMPATIBLE_MODEL || 'llama3.1'
+    },
+    credentialHint: 'Check that LLM_COMPATIBLE_BASE_URL points at a running OpenAI-compatible server'
+  }),
+  anthropic: () => createAnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    defaultModels: { standard: 'claude-haiku-4-5', deep: 'claude-sonnet-4-5' }
+  }),
+  mock: () => createMockProvider()
+};
+
+const REVIEW_TIERS = {
+  standard: {
+    provider: DEFAULT_PROVIDER,
+    model: process.env.CODE_REVIEW_MODEL
+  },
+  deep: {
+    provider: (process.env.CODE_REVIEW_DEEP_PROVIDER || DEFAULT_PROVIDER).toLowerCase(),
+    model: process.env.CODE_REVIEW_DEEP_MODEL
+  }
+};
+
+const providers = new Map();
+
+function registerLlmProvider(name, factory) {
+  factories[name] = factory;
+  providers.delete(name);
+}
+
+function getLlmProvider(name) {
+  if (!factories[name]) {
+    return null;
+  }
+  if (!providers.has(name)) {
+    providers.set(name, factories[name]());
+  }
+  return providers.get(name);
+}
+
+function listReviewTiers() {
+  return Object.keys(REVIEW_TIERS);
+}
+
+// { tier, provider, model, label } or null for an unknown tier
+function getReviewModel(tier = 'standard') {
+  const config = REVIEW_TIERS[tier];
+  if (!config) {
+    return null;
+  }
+  const provider = getLlmProvider(config.provider);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${config.provider}" for the ${tier} code-review tier`);
+  }
+  const model = config.model || provider.defaultModels[tier] || provider.defaultModels.standard;
+  return { tier, provider, model, label: `${provider.label} ${model}` };
+}
+
+// Fails fast at startup when a tier names a provider that does not exist
+function validateReviewTiers() {
+  return listReviewTiers().map(tier => getReviewModel(tier));
+}
+
+module.exports = {
+  registerLlmProvider,
+  getLlmProvider,
+  getReviewModel,
+  listReviewTiers,
+  validateReviewTiers
+};
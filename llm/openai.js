@@ -0,0 +1,31 @@
+// OpenAI chat-completions adapter. Also serves OpenAI-compatible local
+// servers (llama.cpp, Ollama, vLLM) by pointing baseURL at them.
+const OpenAI = require('openai');
+
+function createOpenAIProvider({ name, label, apiKey, baseURL, defaultModels, credentialHint }) {
+  let client = null;
+
+  // Built on first use so the server can start without credentials
+  function getClient() {
+    if (!client) {
+      if (!apiKey) {
+        throw Object.assign(new Error(`${label} API key is not configured`), { code: 'not_configured' });
+      }
+      client = new OpenAI({ apiKey, baseURL });
+    }
+    return client;
+  }
+
+  async function complete({ model, system, messages, json = false }) {
+    const response = await getClient().chat.completions.create({
+      model,
+      messages: [{ role: 'system', content: system }, ...messages],
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+    return response.choices[0].message.content;
+  }
+
+  return { name, label, defaultModels, credentialHint, complete };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,85 @@
+// Binance spot adapter (public klines, no auth)
+const axios = require('axios');
+const { TIMEFRAME_MS, baseAsset } = require('./symbols');
+
+const BINANCE_API = 'https://api.binance.com/api/v3';
+
+const TIMEFRAMES = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
+
+const MAX_CANDLES = 1000;
+
+function toBinanceSymbol(symbol) {
+  return `${baseAsset(symbol)}USDT`;
+}
+
+async function getMarketContext(symbol) {
+  const binanceSymbol = toBinanceSymbol(symbol);
+
+  let ticker;
+  try {
+    const response = await axios.get(`${BINANCE_API}/ticker/24hr`, {
+      params: { symbol: binanceSymbol }
+    });
+    ticker = response.data;
+  } catch (error) {
+    // Binance answers unknown symbols with 400 / code -1121
+    if (error.response && error.response.status === 400) {
+      return null;
+    }
+    throw error;
+  }
+
+  return {
+    coin: binanceSymbol,
+    markPrice: parseFloat(ticker.lastPrice),
+    funding: null,
+    openInterest: null,
+    volume24h: parseFloat(ticker.quoteVolume)
+  };
+}
+
+function toCandle(k, timeframe) {
+  // [openTime, open, high, low, close, volume, closeTime, ...]
+  return {
+    t: Number(k[0]),
+    T: Number(k[6]) || Number(k[0]) + TIMEFRAME_MS[timeframe] - 1,
+    o: parseFloat(k[1]),
+    h: parseFloat(k[2]),
+    l: parseFloat(k[3]),
+    c: parseFloat(k[4]),
+    v: parseFloat(k[5])
+  };
+}
+
+// Klines come oldest first, MAX_CANDLES per request, so longer windows are
+// fetched page by page from startTime
+async function getCandles(binanceSymbol, timeframe, { startTime, endTime }) {
+  const candles = [];
+  let cursor = startTime;
+  while (cursor <= endTime) {
+    const response = await axios.get(`${BINANCE_API}/klines`, {
+      params: {
+        symbol: binanceSymbol,
+        interval: timeframe,
+        startTime: cursor,
+        endTime,
+        limit: MAX_CANDLES
+      }
+    });
+    const page = (response.data || []).map(k => toCandle(k, timeframe));
+    candles.push(...page);
+    if (page.length < MAX_CANDLES) {
+      break;
+    }
+    cursor = page[page.length - 1].t + 1;
+  }
+  return candles;
+}
+
+module.exports = {
+  name: 'binance',
+  label: 'Binance',
+  timeframes: TIMEFRAMES,
+  getMarketContext,
+  getCandles
+};
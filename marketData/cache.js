@@ -0,0 +1,141 @@
+// In-process TTL cache with single-flight coalescing for market-data fetches.
+//
+// Concurrent callers asking for the same key while a fetch is in flight share
+// that fetch instead of starting their own. Failed fetches are never cached.
+const { TIMEFRAME_MS } = require('./symbols');
+
+function readTtl(envName, fallback) {
+  const parsed = parseInt(process.env[envName], 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const MARKET_TTL_MS = readTtl('MARKET_DATA_MARKET_TTL_MS', 5000);
+const CANDLE_TTL_MS = readTtl('MARKET_DATA_CANDLE_TTL_MS', 15000);
+const BOOK_TTL_MS = readTtl('MARKET_DATA_BOOK_TTL_MS', 1000);
+const MAX_ENTRIES = readTtl('MARKET_DATA_CACHE_MAX_ENTRIES', 1000);
+
+function createTtlCache({ maxEntries = MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  const inflight = new Map();
+  const stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0, errors: 0 };
+
+  function sweep(now) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+        stats.evictions += 1;
+      }
+    }
+    // Map iteration is insertion order, so the oldest entries go first
+    while (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions += 1;
+    }
+  }
+
+  async function wrap(key, ttlMs, fetcher) {
+    const now = Date.now();
+    const cached = entries.get(key);
+    if (cached && cached.expiresAt > now) {
+      stats.hits += 1;
+      return cached.value;
+    }
+
+    if (inflight.has(key)) {
+      stats.coalesced += 1;
+      return inflight.get(key);
+    }
+
+    stats.misses += 1;
+    const pending = (async () => {
+      try {
+        const value = await fetcher();
+        // A zero TTL or entry limit turns storing off; fetches still coalesce
+        if (ttlMs > 0 && maxEntries > 0) {
+          sweep(Date.now());
+          entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        }
+        return value;
+      } catch (error) {
+        stats.errors += 1;
+        throw error;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, pending);
+    return pending;
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses + stats.coalesced;
+    return {
+      ...stats,
+      entries: entries.size,
+      inflight: inflight.size,
+      hitRate: lookups ? Number(((stats.hits + stats.coalesced) / lookups).toFixed(4)) : null
+    };
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return { wrap, getStats, clear };
+}
+
+// Wrap a provider so every call goes through the shared cache. Candle keys
+// include the window length; windows that end in the past (backfills) also
+// include their end time since they are not "the latest N candles".
+function withCache(provider, cache) {
+  const cached = {
+    ...provider,
+    async getMarketContext(symbol) {
+      if (cached.getUniverse) {
+        const universe = await cached.getUniverse();
+        return universe.find(market => provider.matchesSymbol(market, symbol)) || null;
+      }
+      return cache.wrap(`${provider.name}|market|${String(symbol).toUpperCase()}`, MARKET_TTL_MS, () =>
+        provider.getMarketContext(symbol)
+      );
+    },
+    async getCandles(coin, timeframe, window) {
+      const intervalMs = TIMEFRAME_MS[timeframe];
+      const windowMs = window.endTime - window.startTime;
+      const isLive = window.endTime >= Date.now() - intervalMs;
+      const key = [provider.name, 'candles', coin, timeframe, windowMs, isLive ? 'live' : window.endTime].join('|');
+      const ttl = isLive ? Math.min(CANDLE_TTL_MS, intervalMs) : CANDLE_TTL_MS * 20;
+      return cache.wrap(key, ttl, () => provider.getCandles(coin, timeframe, window));
+    }
+  };
+
+  if (provider.getUniverse) {
+    cached.getUniverse = () =>
+      cache.wrap(`${provider.name}|universe`, MARKET_TTL_MS, () => provider.getUniverse());
+  }
+  if (provider.getFundingHistory) {
+    // Funding settles hourly, so a live window only changes once an hour
+    cached.getFundingHistory = (coin, window) => {
+      const windowMs = window.endTime - window.startTime;
+      const isLive = window.endTime >= Date.now() - TIMEFRAME_MS['1h'];
+      const key = [provider.name, 'funding', coin, windowMs, isLive ? 'live' : window.endTime].join('|');
+      return cache.wrap(key, CANDLE_TTL_MS * 4, () => provider.getFundingHistory(coin, window));
+    };
+  }
+  if (provider.getPredictedFunding) {
+    cached.getPredictedFunding = coin =>
+      cache.wrap(`${provider.name}|predictedFunding|${coin}`, MARKET_TTL_MS, () =>
+        provider.getPredictedFunding(coin)
+      );
+  }
+  if (provider.getOrderBook) {
+    cached.getOrderBook = (coin, options = {}) =>
+      cache.wrap(`${provider.name}|book|${coin}|${options.aggregated ? 'agg' : 'fine'}`, BOOK_TTL_MS, () =>
+        provider.getOrderBook(coin, options)
+      );
+  }
+
+  return cached;
+}
+
+module.exports = { createTtlCache, withCache };
@@ -0,0 +1,101 @@
+// Coinbase Advanced Trade adapter (public market endpoints, no auth)
+const axios = require('axios');
+const { TIMEFRAME_MS, baseAsset } = require('./symbols');
+
+const COINBASE_API = 'https://api.coinbase.com/api/v3/brokerage/market/products';
+
+const GRANULARITIES = {
+  '1m': 'ONE_MINUTE',
+  '5m': 'FIVE_MINUTE',
+  '15m': 'FIFTEEN_MINUTE',
+  '30m': 'THIRTY_MINUTE',
+  '1h': 'ONE_HOUR',
+  '2h': 'TWO_HOUR',
+  '6h': 'SIX_HOUR',
+  '1d': 'ONE_DAY'
+};
+
+// Coinbase caps a single candles request at 350 rows
+const MAX_CANDLES = 350;
+
+// International perpetuals keep their -PERP-INTX id; everything else is the USD spot book
+function toProductId(symbol) {
+  const upper = String(symbol).trim().toUpperCase();
+  if (upper.endsWith('-PERP-INTX')) {
+    return upper;
+  }
+  return `${baseAsset(upper)}-USD`;
+}
+
+async function getMarketContext(symbol) {
+  const productId = toProductId(symbol);
+
+  let product;
+  try {
+    const response = await axios.get(`${COINBASE_API}/${productId}`);
+    product = response.data;
+  } catch (error) {
+    if (error.response && (error.response.status === 404 || error.response.status === 400)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const price = parseFloat(product.price);
+  const perp = product.future_product_details && product.future_product_details.perpetual_details;
+
+  return {
+    coin: productId,
+    markPrice: price,
+    funding: perp && perp.funding_rate != null ? parseFloat(perp.funding_rate) : null,
+    openInterest: perp && perp.open_interest != null ? parseFloat(perp.open_interest) : null,
+    // Coinbase reports base volume; convert to notional so sources are comparable
+    volume24h: parseFloat(product.volume_24h) * price
+  };
+}
+
+async function getCandlePage(productId, timeframe, start, end) {
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  const response = await axios.get(`${COINBASE_API}/${productId}/candles`, {
+    params: {
+      start: Math.floor(start / 1000),
+      end: Math.floor(end / 1000),
+      granularity: GRANULARITIES[timeframe]
+    }
+  });
+
+  // Newest first on the wire
+  return (response.data.candles || []).map(c => {
+    const t = Number(c.start) * 1000;
+    return {
+      t,
+      T: t + intervalMs - 1,
+      o: parseFloat(c.open),
+      h: parseFloat(c.high),
+      l: parseFloat(c.low),
+      c: parseFloat(c.close),
+      v: parseFloat(c.volume)
+    };
+  });
+}
+
+// Windows longer than one request allows are fetched page by page
+async function getCandles(productId, timeframe, { startTime, endTime }) {
+  const pageMs = TIMEFRAME_MS[timeframe] * (MAX_CANDLES - 1);
+  const byTime = new Map();
+  for (let start = startTime; start < endTime; start += pageMs) {
+    const page = await getCandlePage(productId, timeframe, start, Math.min(endTime, start + pageMs));
+    for (const candle of page) {
+      byTime.set(candle.t, candle);
+    }
+  }
+  return [...byTime.values()].sort((a, b) => a.t - b.t);
+}
+
+module.exports = {
+  name: 'coinbase',
+  label: 'Coinbase Advanced',
+  timeframes: Object.keys(GRANULARITIES),
+  getMarketContext,
+  getCandles
+};
@@ -0,0 +1,124 @@
+// Offline adapter backed by recorded JSON fixtures.
+//
+// Each file is <dir>/<COIN>.json:
+//   {
+//     "coin": "BTC",
+//     "source": "hyperliquid",
+//     "market": { "markPrice": ..., "funding": ..., "openInterest": ..., "volume24h": ... },
+//     "fundingHistory": [{ "time": ..., "fundingRate": ..., "premium": ... }],
+//     "openInterestHistory": [{ "time": ..., "openInterest": ... }],
+//     "orderBook": { "time": ..., "bids": [{ "price": ..., "size": ..., "orders": ... }], "asks": [...] },
+//     "candles": { "1h": [{ "t": ..., "T": ..., "o": ..., "h": ..., "l": ..., "c": ..., "v": ... }] }
+//   }
+const fs = require('fs');
+const path = require('path');
+const { TIMEFRAME_MS, baseAsset } = require('./symbols');
+
+function createFixtureProvider(dir) {
+  const root = path.resolve(dir);
+  const cache = new Map();
+
+  function load(coin) {
+    if (cache.has(coin)) {
+      return cache.get(coin);
+    }
+    const file = path.join(root, `${coin}.json`);
+    const data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    cache.set(coin, data);
+    return data;
+  }
+
+  function toMarket(coin, data) {
+    return {
+      coin,
+      markPrice: data.market.markPrice,
+      funding: data.market.funding ?? null,
+      openInterest: data.market.openInterest ?? null,
+      volume24h: data.market.volume24h
+    };
+  }
+
+  async function getUniverse() {
+    if (!fs.existsSync(root)) {
+      return [];
+    }
+    return fs.readdirSync(root)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .map(coin => toMarket(coin, load(coin)));
+  }
+
+  function matchesSymbol(market, symbol) {
+    return market.coin === baseAsset(symbol);
+  }
+
+  async function getMarketContext(symbol) {
+    const coin = baseAsset(symbol);
+    const data = load(coin);
+    return data ? toMarket(coin, data) : null;
+  }
+
+  // Recordings are frozen in time. A window that falls entirely after the
+  // recording (the usual "last N candles up to now" request) is served from
+  // the tail of the recording instead of returning nothing.
+  async function getCandles(coin, timeframe, { startTime, endTime }) {
+    const data = load(coin);
+    const candles = (data && data.candles && data.candles[timeframe]) || [];
+    if (!candles.length) {
+      return [];
+    }
+
+    const inWindow = candles.filter(c => c.t >= startTime && c.t <= endTime);
+    if (inWindow.length || endTime < candles[candles.length - 1].t) {
+      return inWindow;
+    }
+
+    const count = Math.ceil((endTime - startTime) / TIMEFRAME_MS[timeframe]);
+    return candles.slice(-count);
+  }
+
+  async function getFundingHistory(coin, { startTime, endTime }) {
+    const history = (load(coin) || {}).fundingHistory || [];
+    const inWindow = history.filter(f => f.time >= startTime && f.time <= endTime);
+    if (inWindow.length || !history.length || endTime < history[history.length - 1].time) {
+      return inWindow;
+    }
+    const hours = Math.ceil((endTime - startTime) / TIMEFRAME_MS['1h']);
+    return history.slice(-hours);
+  }
+
+  async function getPredictedFunding(coin) {
+    const data = load(coin);
+    if (!data || data.market.funding == null) {
+      return null;
+    }
+    return { fundingRate: data.market.funding, nextFundingTime: null };
+  }
+
+  async function getOpenInterestHistory(coin) {
+    return [...((load(coin) || {}).openInterestHistory || [])];
+  }
+
+  // One recorded book serves both the fine and aggregated views
+  async function getOrderBook(coin) {
+    const book = (load(coin) || {}).orderBook;
+    return book ? { time: book.time, bids: [...book.bids], asks: [...book.asks] } : null;
+  }
+
+  return {
+    name: 'fixture',
+    label: `Fixture (${path.basename(root)})`,
+    timeframes: Object.keys(TIMEFRAME_MS),
+    getUniverse,
+    matchesSymbol,
+    fundingIntervalHours: 1,
+    getMarketContext,
+    getCandles,
+    getFundingHistory,
+    getPredictedFunding,
+    getOpenInterestHistory,
+    getOrderBook
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,178 @@
+// HyperLiquid perpetuals adapter (public info API)
+const axios = require('axios');
+const { TIMEFRAME_MS, baseAsset } = require('./symbols');
+
+const HYPERLIQUID_API = 'https://api.hyperliquid.xyz/info';
+
+const TIMEFRAMES = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '8h', '12h', '1d', '3d', '1w', '1M'];
+
+const MAX_CANDLES = 5000;
+
+// HyperLiquid has no public open-interest history, so every universe fetch
+// records a sample per coin. Samples closer than the spacing are skipped.
+const OI_SAMPLE_SPACING_MS = 60000;
+const OI_RETENTION_MS = 7 * 86400000;
+const openInterestSamples = new Map();
+
+function recordOpenInterest(universe, time) {
+  for (const market of universe) {
+    if (!Number.isFinite(market.openInterest)) {
+      continue;
+    }
+    const samples = openInterestSamples.get(market.coin) || [];
+    const last = samples[samples.length - 1];
+    if (last && time - last.time < OI_SAMPLE_SPACING_MS) {
+      continue;
+    }
+    samples.push({ time, openInterest: market.openInterest });
+    while (samples.length && samples[0].time < time - OI_RETENTION_MS) {
+      samples.shift();
+    }
+    openInterestSamples.set(market.coin, samples);
+  }
+}
+
+// Universe names are case-sensitive (e.g. kPEPE), so match loosely
+function matchesSymbol(market, symbol) {
+  return market.coin.toUpperCase() === baseAsset(symbol);
+}
+
+// Every listed perp with its current context, from one metaAndAssetCtxs call
+async function getUniverse() {
+  const metaResponse = await axios.post(HYPERLIQUID_API, {
+    type: 'metaAndAssetCtxs'
+  });
+
+  const [meta, contexts] = metaResponse.data;
+  const universe = meta.universe.map((asset, index) => {
+    const ctx = contexts[index];
+    return {
+      coin: asset.name,
+      markPrice: parseFloat(ctx.markPx),
+      funding: parseFloat(ctx.funding),
+      openInterest: parseFloat(ctx.openInterest),
+      volume24h: parseFloat(ctx.dayNtlVlm)
+    };
+  });
+  recordOpenInterest(universe, Date.now());
+  return universe;
+}
+
+function findMarket(universe, symbol) {
+  return universe.find(market => matchesSymbol(market, symbol)) || null;
+}
+
+async function getMarketContext(symbol) {
+  const universe = await getUniverse();
+  return findMarket(universe, symbol);
+}
+
+function toCandle(c, timeframe) {
+  return {
+    t: Number(c.t),
+    T: Number(c.T) || Number(c.t) + TIMEFRAME_MS[timeframe] - 1,
+    o: parseFloat(c.o),
+    h: parseFloat(c.h),
+    l: parseFloat(c.l),
+    c: parseFloat(c.c),
+    v: parseFloat(c.v)
+  };
+}
+
+// candleSnapshot answers at most MAX_CANDLES rows, oldest first from
+// startTime, so longer windows are fetched page by page. A page can repeat
+// the bar the cursor falls in, hence the map.
+async function getCandles(symbol, timeframe, { startTime, endTime }) {
+  const byTime = new Map();
+  let cursor = startTime;
+  while (cursor <= endTime) {
+    const response = await axios.post(HYPERLIQUID_API, {
+      type: 'candleSnapshot',
+      req: {
+        coin: symbol,
+        interval: timeframe,
+        startTime: cursor,
+        endTime
+      }
+    });
+    const page = (response.data || []).map(c => toCandle(c, timeframe));
+    for (const candle of page) {
+      byTime.set(candle.t, candle);
+    }
+    const next = page.length && page[page.length - 1].t + 1;
+    if (page.length < MAX_CANDLES || next <= cursor) {
+      break;
+    }
+    cursor = next;
+  }
+  return [...byTime.values()].sort((a, b) => a.t - b.t);
+}
+
+async function getFundingHistory(coin, { startTime, endTime }) {
+  const response = await axios.post(HYPERLIQUID_API, {
+    type: 'fundingHistory',
+    coin,
+    startTime,
+    endTime
+  });
+
+  return (response.data || []).map(f => ({
+    time: Number(f.time),
+    fundingRate: parseFloat(f.fundingRate),
+    premium: parseFloat(f.premium)
+  }));
+}
+
+async function getPredictedFunding(coin) {
+  const response = await axios.post(HYPERLIQUID_API, {
+    type: 'predictedFundings'
+  });
+
+  // [[coin, [[venue, { fundingRate, nextFundingTime } | null], ...]], ...]
+  const entry = (response.data || []).find(([name]) => name === coin);
+  const venue = entry && entry[1].find(([name]) => name === 'HlPerp');
+  if (!venue || !venue[1]) {
+    return null;
+  }
+  return {
+    fundingRate: parseFloat(venue[1].fundingRate),
+    nextFundingTime: Number(venue[1].nextFundingTime)
+  };
+}
+
+// Full-precision books only cover a few ticks around mid; the aggregated
+// book (3 significant figures) reaches several percent either side.
+async function getOrderBook(coin, { aggregated = false } = {}) {
+  const response = await axios.post(HYPERLIQUID_API, {
+    type: 'l2Book',
+    coin,
+    ...(aggregated ? { nSigFigs: 3 } : {})
+  });
+
+  const [bids, asks] = (response.data && response.data.levels) || [[], []];
+  const toLevel = level => ({ price: parseFloat(level.px), size: parseFloat(level.sz), orders: level.n });
+  return {
+    time: response.data ? Number(response.data.time) : Date.now(),
+    bids: bids.map(toLevel),
+    asks: asks.map(toLevel)
+  };
+}
+
+async function getOpenInterestHistory(coin) {
+  return [...(openInterestSamples.get(coin) || [])];
+}
+
+module.exports = {
+  name: 'hyperliquid',
+  label: 'HyperLiquid',
+  timeframes: TIMEFRAMES,
+  getUniverse,
+  matchesSymbol,
+  fundingIntervalHours: 1,
+  getMarketContext,
+  getCandles,
+  getFundingHistory,
+  getPredictedFunding,
+  getOpenInterestHistory,
+  getOrderBook
+};
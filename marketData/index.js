@@ -0,0 +1,93 @@
+// Market-data provider registry
+//
+// Every adapter exposes the same shape:
+//   name                         - source key used in requests (e.g. 'binance')
+//   label                        - human-readable origin reported as dataSource
+//   timeframes                   - candle intervals the adapter can serve
+//   getMarketContext(symbol)     - { coin, markPrice, funding, openInterest, volume24h } or null
+//   getCandles(coin, tf, { startTime, endTime })
+//                                - [{ t, T, o, h, l, c, v }] oldest first, numeric fields;
+//                                  every candle in the window, paged past the API's
+//                                  per-request limit; coin is the native id returned
+//                                  by getMarketContext
+//
+// Adapters that can list every market in one call also expose
+//   getUniverse()                - [market context, ...]
+//   matchesSymbol(market, symbol) - whether a universe entry is the requested symbol
+//
+// Perpetual sources can also expose
+//   fundingIntervalHours          - hours between funding payments
+//   getFundingHistory(coin, { startTime, endTime }) - [{ time, fundingRate, premium }]
+//   getPredictedFunding(coin)     - { fundingRate, nextFundingTime } or null
+//   getOpenInterestHistory(coin)  - [{ time, openInterest }] oldest first
+//
+// Sources with a public order book expose
+//   getOrderBook(coin, { aggregated }) - { time, bids: [{ price, size, orders }], asks }
+//                                       best price first; aggregated trades precision for range
+//
+// funding/openInterest are null for spot sources.
+const { TIMEFRAME_MS, baseAsset } = require('./symbols');
+const hyperliquid = require('./hyperliquid');
+const coinbase = require('./coinbase');
+const binance = require('./binance');
+const { createFixtureProvider } = require('./fixture');
+const { createTtlCache, withCache } = require('./cache');
+
+const DEFAULT_SOURCE = (process.env.MARKET_DATA_SOURCE || 'hyperliquid').toLowerCase();
+
+const providers = new Map();
+const cache = createTtlCache();
+
+function registerProvider(provider) {
+  const cached = withCache(provider, cache);
+  providers.set(provider.name, cached);
+  return cached;
+}
+
+registerProvider(hyperliquid);
+registerProvider(coinbase);
+registerProvider(binance);
+
+// Offline stand-in; only available when a fixture directory is configured
+if (process.env.MARKET_DATA_FIXTURE_DIR) {
+  registerProvider(createFixtureProvider(process.env.MARKET_DATA_FIXTURE_DIR));
+}
+
+function getMarketDataProvider(source) {
+  const key = (source || DEFAULT_SOURCE).toString().trim().toLowerCase();
+  return providers.get(key) || null;
+}
+
+function listMarketDataSources() {
+  return [...providers.keys()];
+}
+
+// Periodically refresh a source's universe so open-interest history keeps
+// accruing between requests (HyperLiquid only records it on fetch).
+function startOpenInterestSampling(intervalMs, source = 'hyperliquid') {
+  const provider = providers.get(source);
+  if (!provider || !provider.getUniverse || !(intervalMs > 0)) {
+    return null;
+  }
+  const timer = setInterval(() => {
+    provider.getUniverse().catch(error => {
+      console.warn('open_interest_sample_failed', { source, message: error.message });
+    });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+function getMarketDataCacheStats() {
+  return cache.getStats();
+}
+
+module.exports = {
+  TIMEFRAME_MS,
+  baseAsset,
+  registerProvider,
+  getMarketDataProvider,
+  listMarketDataSources,
+  startOpenInterestSampling,
+  getMarketDataCacheStats
+};
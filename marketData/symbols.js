@@ -0,0 +1,33 @@
+// Shared symbol and interval helpers for market-data adapters
+
+const TIMEFRAME_MS = {
+  '1m': 60000,
+  '3m': 180000,
+  '5m': 300000,
+  '15m': 900000,
+  '30m': 1800000,
+  '1h': 3600000,
+  '2h': 7200000,
+  '4h': 14400000,
+  '6h': 21600000,
+  '8h': 28800000,
+  '12h': 43200000,
+  '1d': 86400000,
+  '3d': 259200000,
+  '1w': 604800000,
+  '1M': 2592000000
+};
+
+// Reduce any common notation to its base asset:
+// BTC, BTC-PERP, BTC-PERP-INTX, BTC-USD, BTC/USDT, BTCUSDT -> BTC
+function baseAsset(symbol) {
+  const upper = String(symbol).trim().toUpperCase();
+  const [head] = upper.split(/[-/_]/);
+  const quoteSuffix = head.match(/^(.+?)(USDT|USDC|USD)$/);
+  if (quoteSuffix && quoteSuffix[1].length >= 2) {
+    return quoteSuffix[1];
+  }
+  return head;
+}
+
+module.exports = { TIMEFRAME_MS, baseAsset };
@@ -0,0 +1,254 @@
+// Order book depth and liquidity analysis (HyperLiquid l2Book by default)
+const { getMarketDataProvider, listMarketDataSources } = require('./marketData');
+
+const DEPTH_BANDS_PERCENT = [0.5, 1, 2];
+const DEFAULT_NOTIONAL = 10000;
+const MAX_NOTIONAL = 100000000;
+// A level is a wall when it holds this many times the median level's notional
+const WALL_MULTIPLIER = 3;
+const WALL_RANGE_PERCENT = 5;
+const MAX_WALLS_PER_SIDE = 3;
+
+function round(value, decimals = 4) {
+  if (value == null || !Number.isFinite(value)) {
+    return null;
+  }
+  return Number(value.toFixed(decimals));
+}
+
+function median(values) {
+  if (!values.length) {
+    return 0;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Fine levels first, then aggregated levels beyond the fine book's reach
+function mergeSide(fineLevels, wideLevels, isBid) {
+  if (!wideLevels || !wideLevels.length) {
+    return fineLevels;
+  }
+  if (!fineLevels.length) {
+    return wideLevels;
+  }
+  const lastFine = fineLevels[fineLevels.length - 1].price;
+  const beyond = wideLevels.filter(level => (isBid ? level.price < lastFine : level.price > lastFine));
+  return [...fineLevels, ...beyond];
+}
+
+function sideDepth(levels, mid, bandPercent, isBid) {
+  const limit = isBid ? mid * (1 - bandPercent / 100) : mid * (1 + bandPercent / 100);
+  return levels
+    .filter(level => (isBid ? level.price >= limit : level.price <= limit))
+    .reduce((sum, level) => sum + level.price * level.size, 0);
+}
+
+function coveragePercent(levels, mid) {
+  if (!levels.length) {
+    return 0;
+  }
+  return Math.abs(levels[levels.length - 1].price - mid) / mid * 100;
+}
+
+// Walk one side of the book to fill `notional` USD at market
+function estimateSlippage(levels, mid, notional) {
+  let remaining = notional;
+  let quantity = 0;
+  let spent = 0;
+  let worstPrice = null;
+
+  for (const level of levels) {
+    if (remaining <= 0) {
+      break;
+    }
+    const take = Math.min(remaining, level.price * level.size);
+    quantity += take / level.price;
+    spent += take;
+    remaining -= take;
+    worstPrice = level.price;
+  }
+
+  if (!quantity) {
+    return { filled: false, filledNotional: 0, averagePrice: null, worstPrice: null, slippageBps: null };
+  }
+
+  const averagePrice = spent / quantity;
+  return {
+    filled: remaining <= 1e-9,
+    filledNotional: round(spent, 2),
+    averagePrice: round(averagePrice, 8),
+    worstPrice,
+    slippageBps: round(Math.abs(averagePrice - mid) / mid * 10000, 2)
+  };
+}
+
+function findLiquidityWalls(levels, mid, isBid) {
+  const inRange = levels.filter(level => Math.abs(level.price - mid) / mid * 100 <= WALL_RANGE_PERCENT);
+  const baseline = median(inRange.map(level => level.price * level.size));
+  if (!baseline) {
+    return [];
+  }
+
+  return inRange
+    .map(level => ({
+      side: isBid ? 'bid' : 'ask',
+      price: level.price,
+      size: level.size,
+      notional: round(level.price * level.size, 2),
+      distancePercent: round((level.price - mid) / mid * 100, 3),
+      strength: round((level.price * level.size) / baseline, 2)
+    }))
+    .filter(wall => wall.strength >= WALL_MULTIPLIER)
+    .sort((a, b) => b.notional - a.notional)
+    .slice(0, MAX_WALLS_PER_SIDE);
+}
+
+function analyzeOrderBook(fineBook, wideBook, { notional = DEFAULT_NOTIONAL } = {}) {
+  const bestBid = fineBook.bids[0].price;
+  const bestAsk = fineBook.asks[0].price;
+  const mid = (bestBid + bestAsk) / 2;
+
+  const bids = mergeSide(fineBook.bids, wideBook && wideBook.bids, true);
+  const asks = mergeSide(fineBook.asks, wideBook && wideBook.asks, false);
+  const wallBook = wideBook && wideBook.bids.length && wideBook.asks.length ? wideBook : fineBook;
+
+  const bidCoverage = coveragePercent(bids, mid);
+  const askCoverage = coveragePercent(asks, mid);
+
+  const depth = {};
+  for (const band of DEPTH_BANDS_PERCENT) {
+    const bidNotional = sideDepth(bids, mid, band, true);
+    const askNotional = sideDepth(asks, mid, band, false);
+    const total = bidNotional + askNotional;
+    depth[`${band}%`] = {
+      bidNotional: round(bidNotional, 2),
+      askNotional: round(askNotional, 2),
+      imbalance: total ? round((bidNotional - askNotional) / total, 4) : null,
+      complete: bidCoverage >= band && askCoverage >= band
+    };
+  }
+
+  const topBid = fineBook.bids.reduce((sum, level) => sum + level.price * level.size, 0);
+  const topAsk = fineBook.asks.reduce((sum, level) => sum + level.price * level.size, 0);
+
+  return {
+    midPrice: round(mid, 8),
+    bestBid,
+    bestAsk,
+    spread: round(bestAsk - bestBid, 8),
+    spreadBps: round((bestAsk - bestBid) / mid * 10000, 2),
+    imbalance: {
+      topOfBook: topBid + topAsk ? round((topBid - topAsk) / (topBid + topAsk), 4) : null,
+      within1Percent: depth['1%'].imbalance
+    },
+    depth,
+    coverage: {
+      bidPercent: round(bidCoverage, 3),
+      askPercent: round(askCoverage, 3)
+    },
+    slippage: {
+      notional,
+      buy: estimateSlippage(asks, mid, notional),
+      sell: estimateSlippage(bids, mid, notional)
+    },
+    liquidityWalls: {
+      bids: findLiquidityWalls(wallBook.bids, mid, true),
+      asks: findLiquidityWalls(wallBook.asks, mid, false)
+    }
+  };
+}
+
+// Strongest bid wall below and ask wall above `price`, for support/resistance
+async function getOrderBookLevels(provider, coin, price) {
+  const book = await provider.getOrderBook(coin, { aggregated: true });
+  if (!book || !book.bids.length || !book.asks.length) {
+    return null;
+  }
+  const bidWalls = findLiquidityWalls(book.bids, price, true).filter(wall => wall.price < price);
+  const askWalls = findLiquidityWalls(book.asks, price, false).filter(wall => wall.price > price);
+  return {
+    support: bidWalls.length ? bidWalls[0].price : null,
+    resistance: askWalls.length ? askWalls[0].price : null,
+    walls: { bids: bidWalls, asks: askWalls }
+  };
+}
+
+async function getOrderBookAnalysis(symbol, { notional = DEFAULT_NOTIONAL, source } = {}) {
+  const provider = getMarketDataProvider(source);
+  if (!provider) {
+    return {
+      symbol,
+      source,
+      error: `Unknown market data source ${source}`,
+      code: 'invalid_request',
+      supportedSources: listMarketDataSources(),
+      timestamp: new Date().toISOString()
+    };
+  }
+  if (!provider.getOrderBook) {
+    return {
+      symbol,
+      error: `Order book data is not available from ${provider.label}`,
+      code: 'unprocessable',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const size = parseFloat(notional);
+  if (!Number.isFinite(size) || size <= 0 || size > MAX_NOTIONAL) {
+    return {
+      symbol,
+      error: `notional must be a positive USD amount up to ${MAX_NOTIONAL}`,
+      code: 'invalid_request',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  try {
+    const market = await provider.getMarketContext(symbol);
+    if (!market) {
+      return {
+        symbol,
+        error: `Symbol ${symbol} not found on ${provider.label}`,
+        code: 'not_found',
+        dataSource: provider.label,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const [fineBook, wideBook] = await Promise.all([
+      provider.getOrderBook(market.coin),
+      provider.getOrderBook(market.coin, { aggregated: true })
+    ]);
+
+    if (!fineBook || !fineBook.bids.length || !fineBook.asks.length) {
+      return {
+        symbol,
+        error: 'Order book is empty',
+        code: 'unprocessable',
+        dataSource: provider.label,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    return {
+      symbol,
+      markPrice: market.markPrice,
+      ...analyzeOrderBook(fineBook, wideBook, { notional: size }),
+      bookTime: fineBook.time ? new Date(fineBook.time).toISOString() : null,
+      dataSource: provider.label,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return {
+      symbol,
+      error: error.message,
+      code: 'upstream_error',
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = { getOrderBookAnalysis, getOrderBookLevels, analyzeOrderBook };
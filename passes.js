@@ -0,0 +1,105 @@
+// Time passes: one x402 payment buys unlimited calls to a set of routes until
+// the pass expires. A pass is a signed bearer token, so checking one needs no
+// storage; the token carries its routes and expiry, and only this server's
+// signing secret can produce a valid one.
+//
+// Token format: rp_<base64url JSON claims>.<base64url HMAC-SHA256>
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { walletKey } = require('./paymentOptions');
+
+const PASSES_DIR = process.env.PASSES_DIR || path.join(process.cwd(), 'data', 'passes');
+const PASS_TOKEN_PREFIX = 'rp_';
+
+function isPassToken(value) {
+  return typeof value === 'string' && value.startsWith(PASS_TOKEN_PREFIX);
+}
+
+// Routes a token claims to cover, without checking its signature. Only used
+// to tell whether a pass applies to a request at all: a client whose token
+// does not claim the route pays as usual, whatever state the token is in.
+function claimedRoutes(token) {
+  if (!isPassToken(token)) {
+    return [];
+  }
+  try {
+    const [body] = token.slice(PASS_TOKEN_PREFIX.length).split('.');
+    const { routes } = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return Array.isArray(routes) ? routes : [];
+  } catch {
+    return [];
+  }
+}
+
+// PASS_SIGNING_SECRET wins; otherwise a generated secret is kept on disk so
+// passes stay valid across restarts. Rotating the secret revokes every pass.
+function loadSigningSecret(dir) {
+  if (process.env.PASS_SIGNING_SECRET) {
+    return process.env.PASS_SIGNING_SECRET;
+  }
+  const file = path.join(dir, 'signing.key');
+  if (fs.existsSync(file)) {
+    return fs.readFileSync(file, 'utf8').trim();
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+function publicPass(claims) {
+  return {
+    id: claims.id,
+    plan: claims.plan,
+    routes: claims.routes,
+    wallet: claims.sub,
+    issuedAt: new Date(claims.iat * 1000).toISOString(),
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+function createPassIssuer({ dir = PASSES_DIR, secret = loadSigningSecret(dir) } = {}) {
+  function sign(body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  }
+
+  // plan: { name, routes, durationSeconds }; returns { token, pass }
+  function issue({ plan, wallet }) {
+    const iat = Math.floor(Date.now() / 1000);
+    const claims = {
+      id: crypto.randomUUID(),
+      plan: plan.name,
+      routes: plan.routes,
+      sub: wallet ? walletKey(wallet) : null,
+      iat,
+      exp: iat + plan.durationSeconds
+    };
+    const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return { token: `${PASS_TOKEN_PREFIX}${body}.${sign(body)}`, pass: publicPass(claims) };
+  }
+
+  // Returns { pass, active } for a genuine token (expired or not), or { error }
+  function verify(token) {
+    if (!isPassToken(token)) {
+      return { error: 'Not an access pass' };
+    }
+    const [body, signature = ''] = token.slice(PASS_TOKEN_PREFIX.length).split('.');
+    const expected = Buffer.from(sign(body));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { error: 'Invalid access pass' };
+    }
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+      return { error: 'Invalid access pass' };
+    }
+    return { pass: publicPass(claims), active: claims.exp * 1000 > Date.now() };
+  }
+
+  return { issue, verify };
+}
+
+module.exports = { createPassIssuer, isPassToken, claimedRoutes };
@@ -0,0 +1,190 @@
+// Unified diffs for code-review autofixes.
+//
+// Edits are { start, end, replacement } on 1-based line numbers: lines
+// start..end (inclusive) are replaced by `replacement` (an array of lines).
+// end = start - 1 inserts before `start` without removing anything.
+const CONTEXT_LINES = 3;
+const NO_NEWLINE = '\\ No newline at end of file';
+
+// { lines, eol }: eol is whether the content ends with a newline
+function splitContent(content) {
+  const text = String(content);
+  const eol = text.endsWith('\n');
+  const body = eol ? text.slice(0, -1) : text;
+  return { lines: body === '' && !eol ? [] : body.split('\n'), eol };
+}
+
+function joinContent(lines, eol) {
+  return lines.join('\n') + (eol && lines.length ? '\n' : '');
+}
+
+function applyEdits(content, edits) {
+  const { lines, eol } = splitContent(content);
+  // Back to front so earlier line numbers stay valid
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    lines.splice(edit.start - 1, edit.end - edit.start + 1, ...edit.replacement);
+  }
+  return joinContent(lines, eol);
+}
+
+function hunkHeader(oldStart, oldCount, newStart, newCount) {
+  // An empty range is addressed by the line before it
+  const range = (start, count) => `${count === 0 ? start - 1 : start},${count}`;
+  return `@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`;
+}
+
+// Without a trailing newline, the line that ends up last changes too (it
+// gains or loses its newline), so it has to be part of the edit.
+function endOfFileEdit(edit, lines, eol) {
+  const length = lines.length;
+  if (eol || !length) {
+    return edit;
+  }
+  if (edit.start === length + 1) {
+    return { ...edit, start: length, replacement: [lines[length - 1], ...edit.replacement] };
+  }
+  if (edit.end === length && !edit.replacement.length && edit.start > 1) {
+    return { ...edit, start: edit.start - 1, replacement: [lines[edit.start - 2]] };
+  }
+  return edit;
+}
+
+// edits must not overlap. Hunks whose context would touch are merged, as
+// diff(1) does.
+function createUnifiedDiff(path, content, edits) {
+  if (!edits.length) {
+    return '';
+  }
+  const { lines, eol } = splitContent(content);
+  const newLength = lines.length + edits.reduce((sum, e) => sum + e.replacement.length - (e.end - e.start + 1), 0);
+  const sorted = [...edits].sort((a, b) => a.start - b.start).map(edit => endOfFileEdit(edit, lines, eol));
+
+  const groups = [];
+  for (const edit of sorted) {
+    const last = groups[groups.length - 1];
+    if (last && edit.start - CONTEXT_LINES <= last[last.length - 1].end + CONTEXT_LINES + 1) {
+      last.push(edit);
+    } else {
+      groups.push([edit]);
+    }
+  }
+
+  const out = [`--- a/${path}`, `+++ b/${path}`];
+  let offset = 0;
+  for (const group of groups) {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const from = Math.max(1, first.start - CONTEXT_LINES);
+    const to = Math.min(lines.length, Math.max(last.end, last.start - 1) + CONTEXT_LINES);
+    const newFrom = from + offset;
+
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    // Without a trailing newline, the last line of either side is flagged
+    const push = (marker, text) => {
+      body.push(marker + text);
+      const oldEnd = marker !== '+' && from + (oldCount += 1) - 1 === lines.length;
+      const newEnd = marker !== '-' && newFrom + (newCount += 1) - 1 === newLength;
+      if (!eol && (oldEnd || newEnd)) {
+        body.push(NO_NEWLINE);
+      }
+    };
+
+    let cursor = from;
+    for (const edit of group) {
+      for (; cursor < edit.start; cursor++) {
+        push(' ', lines[cursor - 1]);
+      }
+      for (let i = edit.start; i <= edit.end; i++) {
+        push('-', lines[i - 1]);
+      }
+      edit.replacement.forEach(text => push('+', text));
+      cursor = edit.end + 1;
+    }
+    for (; cursor <= to; cursor++) {
+      push(' ', lines[cursor - 1]);
+    }
+
+    out.push(hunkHeader(from, oldCount, newFrom, newCount), ...body);
+    offset += newCount - oldCount;
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// Apply a unified diff for one or more files to { path: content }. Every
+// context and removed line must match exactly; returns { files } or { error }.
+function applyUnifiedDiff(sources, diff) {
+  const result = {};
+  const lines = String(diff).split('\n');
+  let i = 0;
+
+  while (i < lines.length) {
+    if (!lines[i].startsWith('--- ')) {
+      i += 1;
+      continue;
+    }
+    const path = (lines[i + 1] || '').replace(/^\+\+\+ b\//, '');
+    if (!(path in sources)) {
+      return { error: `Patch targets unknown file ${path}` };
+    }
+    const { lines: original, eol } = splitContent(path in result ? result[path] : sources[path]);
+    const output = [];
+    let newEol = eol;
+    let consumed = 0;
+    i += 2;
+
+    while (i < lines.length && lines[i].startsWith('@@')) {
+      const header = /^@@ -(\d+),(\d+) \+\d+,(\d+) @@/.exec(lines[i]);
+      if (!header) {
+        return { error: `Malformed hunk header in ${path}: ${lines[i]}` };
+      }
+      const oldCount = Number(header[2]);
+      const oldStart = oldCount === 0 ? Number(header[1]) + 1 : Number(header[1]);
+      if (oldStart - 1 < consumed) {
+        return { error: `Overlapping hunks in ${path}` };
+      }
+      output.push(...original.slice(consumed, oldStart - 1));
+      consumed = oldStart - 1;
+      i += 1;
+
+      // Hunk bodies are read by count, so removed lines like "-- x" are not
+      // mistaken for the next file header
+      let oldLeft = oldCount;
+      let newLeft = Number(header[3]);
+      while (oldLeft > 0 || newLeft > 0) {
+        const marker = (lines[i] || '')[0];
+        const text = (lines[i] || '').slice(1);
+        if (!marker || !' +-'.includes(marker) || (marker !== '+' && !oldLeft) || (marker !== '-' && !newLeft)) {
+          return { error: `Hunk in ${path} does not match its header line counts` };
+        }
+        oldLeft -= marker === '+' ? 0 : 1;
+        newLeft -= marker === '-' ? 0 : 1;
+        if (marker !== '+') {
+          if (original[consumed] !== text) {
+            return { error: `Patch does not apply to ${path} at line ${consumed + 1}` };
+          }
+          consumed += 1;
+        }
+        if (marker !== '-') {
+          output.push(text);
+          // A hunk that reaches the end decides the new file's final newline
+          if (consumed === original.length && oldLeft === 0 && newLeft === 0) {
+            newEol = lines[i + 1] !== NO_NEWLINE;
+          }
+        }
+        i += 1;
+        if (lines[i] === NO_NEWLINE) {
+          i += 1;
+        }
+      }
+    }
+
+    output.push(...original.slice(consumed));
+    result[path] = joinContent(output, newEol);
+  }
+
+  return { files: result };
+}
+
+module.exports = { splitContent, applyEdits, createUnifiedDiff, applyUnifiedDiff };
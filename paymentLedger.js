@@ -0,0 +1,123 @@
+// Append-only ledger of paid requests. One JSON line per request that carried
+// an x402 payment or was covered by a prepaid balance or pass, written when
+// the response finishes:
+//
+//   { at, route, outcome, method, payer, amount, currency, usdAmount, asset,
+//     network, transaction, status, error, reason, jobId }
+//
+// amount is in the paid currency's atomic units; usdAmount is the USD quote it
+// covered, so payments in different stablecoins can be added up.
+//
+// outcome is one of settled, not_settled (verified, but the handler failed so
+// nothing was charged), verify_failed, settle_failed, rejected (the payment
+// did not match the quote) or prepaid. Only settled payments are revenue;
+// prepaid calls spend money already counted at top-up or pass purchase.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { walletKey } = require('./paymentOptions');
+
+const PAYMENTS_DIR = process.env.PAYMENTS_DIR || path.join(process.cwd(), 'data', 'payments');
+const CSV_COLUMNS = [
+  'at', 'route', 'outcome', 'method', 'payer', 'amount', 'currency', 'usdAmount',
+  'asset', 'network', 'transaction', 'status', 'error', 'reason', 'jobId'
+];
+
+// Route and error text come from clients and upstreams. Spreadsheets run a
+// cell starting with = + - @ tab or CR as a formula, so those get a leading '
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toAmount(value) {
+  return /^\d+$/.test(String(value ?? '')) ? BigInt(value) : 0n;
+}
+
+function newBucket() {
+  return { payments: 0, usdAmount: '0', amounts: {} };
+}
+
+function addTo(bucket, entry) {
+  const currency = entry.currency || 'unknown';
+  bucket.payments += 1;
+  bucket.usdAmount = String(BigInt(bucket.usdAmount) + toAmount(entry.usdAmount ?? entry.amount));
+  bucket.amounts[currency] = String(BigInt(bucket.amounts[currency] || '0') + toAmount(entry.amount));
+  return bucket;
+}
+
+function addToKey(buckets, key, entry) {
+  buckets[key] = addTo(buckets[key] || newBucket(), entry);
+}
+
+function createPaymentLedger({ dir = PAYMENTS_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const ledgerFile = path.join(dir, 'ledger.jsonl');
+
+  async function record(entry) {
+    await fs.promises.appendFile(ledgerFile, `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+  }
+
+  // Entries with from <= at < to (epoch ms, either may be omitted), oldest first
+  async function* entries({ from, to } = {}) {
+    if (!fs.existsSync(ledgerFile)) {
+      return;
+    }
+    const lines = readline.createInterface({ input: fs.createReadStream(ledgerFile), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const at = Date.parse(entry.at);
+      if ((from == null || at >= from) && (to == null || at < to)) {
+        yield entry;
+      }
+    }
+  }
+
+  // Settled revenue by route, payer and UTC day, plus a count per outcome.
+  // Each bucket has the USD total and the amount received per currency.
+  async function summarize(range = {}) {
+    const summary = {
+      totals: newBucket(),
+      outcomes: {},
+      byRoute: {},
+      byPayer: {},
+      byDay: {}
+    };
+    for await (const entry of entries(range)) {
+      summary.outcomes[entry.outcome] = (summary.outcomes[entry.outcome] || 0) + 1;
+      if (entry.outcome !== 'settled') {
+        continue;
+      }
+      addTo(summary.totals, entry);
+      addToKey(summary.byRoute, entry.route, entry);
+      addToKey(summary.byPayer, entry.payer ? walletKey(entry.payer) : 'unknown', entry);
+      addToKey(summary.byDay, entry.at.slice(0, 10), entry);
+    }
+    return summary;
+  }
+
+  // CSV lines (header first) for entries in range; settled only unless all
+  async function* csv({ all = false, ...range } = {}) {
+    yield `${CSV_COLUMNS.join(',')}\n`;
+    for await (const entry of entries(range)) {
+      if (all || entry.outcome === 'settled') {
+        yield `${CSV_COLUMNS.map(column => csvCell(entry[column])).join(',')}\n`;
+      }
+    }
+  }
+
+  return { record, summarize, csv };
+}
+
+module.exports = { createPaymentLedger };
@@ -0,0 +1,207 @@
+// Networks and stablecoins the service can be paid in. Every paid route
+// advertises one x402 `accepts` entry per configured network and stablecoin.
+// Prices are set in USD and converted per stablecoin, so vouchers, accounts
+// and quotes stay in USD atomic units (6 decimals) whatever the client paid in.
+//
+// Configured under payments and payTo in services.yaml; these environment
+// variables override it, with a warning at load (see paymentEnvOverrides):
+//   X402_NETWORKS   comma-separated CAIP-2 ids, first is the primary network
+//                   (X402_NETWORK, a single id, is still read as a fallback)
+//   X402_ASSETS     comma-separated symbols, default USDC
+//   X402_EUR_PER_USD  conversion rate, required when EURC is accepted
+//   SOLANA_PAY_TO   base58 wallet paid on Solana (payTo.svm)
+//
+// vm is the x402 scheme family: evm networks are paid with EIP-3009 (or
+// Permit2) signatures, svm networks with a partially signed SPL transfer
+// that the facilitator co-signs as fee payer.
+const NETWORKS = {
+  'eip155:8453': { name: 'Base', vm: 'evm', testnet: false },
+  'eip155:84532': { name: 'Base Sepolia', vm: 'evm', testnet: true },
+  'eip155:10': { name: 'Optimism', vm: 'evm', testnet: false },
+  'eip155:11155420': { name: 'OP Sepolia', vm: 'evm', testnet: true },
+  'eip155:42161': { name: 'Arbitrum One', vm: 'evm', testnet: false },
+  'eip155:421614': { name: 'Arbitrum Sepolia', vm: 'evm', testnet: true },
+  'eip155:137': { name: 'Polygon', vm: 'evm', testnet: false },
+  'eip155:80002': { name: 'Polygon Amoy', vm: 'evm', testnet: true },
+  'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp': { name: 'Solana', vm: 'svm', testnet: false },
+  'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1': { name: 'Solana Devnet', vm: 'svm', testnet: true }
+};
+
+const PAY_TO_FORMATS = {
+  evm: /^0x[0-9a-fA-F]{40}$/,
+  svm: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/
+};
+
+// On EVM networks name and version are the token's EIP-712 domain, which
+// EIP-3009 transferWithAuthorization signatures are made against. Solana
+// deployments are SPL mints and need neither.
+const STABLECOINS = {
+  USDC: {
+    currency: 'USD',
+    decimals: 6,
+    deployments: {
+      'eip155:8453': { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', name: 'USD Coin', version: '2' },
+      'eip155:84532': { address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', name: 'USDC', version: '2' },
+      'eip155:10': { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', name: 'USD Coin', version: '2' },
+      'eip155:11155420': { address: '0x5fd84259d66Cd46123540766Be93DFE6D43130D7', name: 'USDC', version: '2' },
+      'eip155:42161': { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', name: 'USD Coin', version: '2' },
+      'eip155:421614': { address: '0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d', name: 'USDC', version: '2' },
+      'eip155:137': { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', name: 'USD Coin', version: '2' },
+      'eip155:80002': { address: '0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582', name: 'USDC', version: '2' },
+      'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp': { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' },
+      'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1': { address: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU' }
+    }
+  },
+  EURC: {
+    currency: 'EUR',
+    decimals: 6,
+    deployments: {
+      'eip155:8453': { address: '0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42', name: 'EURC', version: '2' },
+      'eip155:84532': { address: '0x808456652fdb597867f38412077A9182bf77359F', name: 'EURC', version: '2' }
+    }
+  }
+};
+
+const USD_DECIMALS = 6;
+
+function parseList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+function networkName(network) {
+  return NETWORKS[network] ? NETWORKS[network].name : network;
+}
+
+// Returns the payment options, one per network and stablecoin deployed on it,
+// primary network first. defaults holds the configured { networks, assets,
+// eurPerUsd } and payTo maps each vm to the wallet paid there.
+// Throws on unknown networks or assets, a mix of testnets and mainnets, an
+// asset deployed on none of the networks, a missing conversion rate, or a
+// missing or malformed pay-to wallet.
+function loadPaymentOptions({
+  defaults = {},
+  payTo = {},
+  networks = parseList(process.env.X402_NETWORKS || process.env.X402_NETWORK || defaults.networks),
+  assets = parseList(process.env.X402_ASSETS || defaults.assets || 'USDC'),
+  eurPerUsd = process.env.X402_EUR_PER_USD || defaults.eurPerUsd
+} = {}) {
+  const problems = [];
+  if (!networks.length) {
+    problems.push('no networks configured');
+  }
+  const unknownNetworks = networks.filter(network => !NETWORKS[network]);
+  if (unknownNetworks.length) {
+    problems.push(`unknown networks ${unknownNetworks.join(', ')} (known: ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  const known = networks.filter(network => NETWORKS[network]);
+  if (new Set(known.map(network => NETWORKS[network].testnet)).size > 1) {
+    problems.push('testnets and mainnets cannot be mixed');
+  }
+  const wallets = { ...payTo, ...(process.env.SOLANA_PAY_TO ? { svm: process.env.SOLANA_PAY_TO } : {}) };
+  for (const vm of new Set(known.map(network => NETWORKS[network].vm))) {
+    if (!PAY_TO_FORMATS[vm].test(String(wallets[vm] || '').trim())) {
+      problems.push(vm === 'svm'
+        ? `Solana networks (${known.filter(network => NETWORKS[network].vm === 'svm').map(networkName).join(', ')}) ` +
+          'need a base58 wallet in payTo.svm or SOLANA_PAY_TO, or leave Solana out of payments.networks'
+        : 'EVM networks need a 0x wallet address in payTo.evm');
+    }
+  }
+
+  const rates = { USD: 1, EUR: parseFloat(eurPerUsd) };
+  for (const symbol of assets) {
+    const coin = STABLECOINS[symbol];
+    if (!coin) {
+      problems.push(`unknown asset ${symbol} (known: ${Object.keys(STABLECOINS).join(', ')})`);
+      continue;
+    }
+    if (!known.some(network => coin.deployments[network])) {
+      problems.push(`${symbol} is not deployed on ${known.map(networkName).join(', ') || 'any configured network'}`);
+    }
+    if (!(rates[coin.currency] > 0)) {
+      problems.push(`${symbol} needs X402_${coin.currency}_PER_USD set to a positive number`);
+    }
+  }
+  if (problems.length) {
+    throw new Error(`Invalid payment configuration: ${problems.join('; ')}`);
+  }
+
+  const options = [];
+  for (const network of networks) {
+    for (const symbol of assets) {
+      const coin = STABLECOINS[symbol];
+      const deployment = coin.deployments[network];
+      if (deployment) {
+        options.push({
+          network,
+          networkName: networkName(network),
+          vm: NETWORKS[network].vm,
+          payTo: String(wallets[NETWORKS[network].vm]).trim(),
+          symbol,
+          currency: coin.currency,
+          decimals: coin.decimals,
+          perUsd: rates[coin.currency],
+          ...deployment
+        });
+      }
+    }
+  }
+  return options;
+}
+
+// Environment variables that replace a value services.yaml also sets, as
+// [{ variable, field }]. They win on every load, so the server warns about
+// them: otherwise editing the file and reloading would silently do nothing.
+function paymentEnvOverrides({ payments = {}, payTo = {} } = {}) {
+  const networksVariable = ['X402_NETWORKS', 'X402_NETWORK'].find(name => process.env[name]);
+  return [
+    { variable: networksVariable, field: 'payments.networks', set: payments.networks },
+    { variable: 'X402_ASSETS', field: 'payments.assets', set: payments.assets },
+    { variable: 'X402_EUR_PER_USD', field: 'payments.eurPerUsd', set: payments.eurPerUsd },
+    { variable: 'SOLANA_PAY_TO', field: 'payTo.svm', set: payTo.svm }
+  ]
+    .filter(({ variable, set }) => variable && process.env[variable] && set != null)
+    .map(({ variable, field }) => ({ variable, field }));
+}
+
+// Key for grouping by wallet: EVM addresses are case-insensitive (mixed case
+// is only a checksum), Solana base58 addresses are not
+function walletKey(address) {
+  const text = String(address).trim();
+  return /^0x/i.test(text) ? text.toLowerCase() : text;
+}
+
+function findPaymentOption(options, { network, asset }) {
+  const address = String(asset || '').toLowerCase();
+  return options.find(option => option.network === network && option.address.toLowerCase() === address) || null;
+}
+
+// Drops float noise (230000.00000000003) before rounding to whole units
+function dropFloatNoise(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// USD atomic units -> the option's atomic units, rounded up
+function toAssetAmount(option, usdAmount) {
+  const scale = 10 ** (option.decimals - USD_DECIMALS);
+  return String(Math.ceil(dropFloatNoise(Number(usdAmount) * option.perUsd * scale)));
+}
+
+// The option's atomic units -> USD atomic units, rounded down
+function toUsdAmount(option, amount) {
+  const scale = 10 ** (option.decimals - USD_DECIMALS);
+  return String(Math.floor(dropFloatNoise(Number(amount) / option.perUsd / scale)));
+}
+
+module.exports = {
+  loadPaymentOptions,
+  paymentEnvOverrides,
+  findPaymentOption,
+  toAssetAmount,
+  toUsdAmount,
+  networkName,
+  walletKey,
+  NETWORKS,
+  STABLECOINS
+};
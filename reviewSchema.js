@@ -0,0 +1,237 @@
+// Result schema for code reviews. Model output is repaired into this shape:
+//
+//   bugs:        [{ severity: 'high'|'medium'|'low', file, line, description, suggestion, source }]
+//                source is 'model' here; the static-analysis pass adds 'static' entries
+//   suggestions: [{ category, description }]
+//   summary:     { score: 0-100 integer, overview }
+//   complexity:  number or null
+//
+// Small deviations (severity synonyms, "L12" line strings, a score buried in a
+// summary sentence) are fixed and reported; output that cannot be read as a
+// review at all is marked fatal so the caller can re-ask the model.
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+const SEVERITY_ALIASES = {
+  critical: 'high', blocker: 'high', severe: 'high', major: 'high', error: 'high',
+  moderate: 'medium', warning: 'medium', warn: 'medium', normal: 'medium',
+  minor: 'low', info: 'low', trivial: 'low', nit: 'low', style: 'low', note: 'low'
+};
+
+// Penalty per bug when the model gives no usable score
+const DERIVED_SCORE_PENALTY = { high: 15, medium: 7, low: 2 };
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function asText(value) {
+  if (value == null) {
+    return '';
+  }
+  return typeof value === 'string' ? value.trim() : JSON.stringify(value);
+}
+
+function parseJson(content) {
+  try {
+    return { value: JSON.parse(content) };
+  } catch (error) {
+    // Models sometimes wrap the object in a ```json fence or prose
+    const start = String(content).indexOf('{');
+    const end = String(content).lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(String(content).slice(start, end + 1)), repaired: true };
+      } catch (innerError) {
+        // fall through
+      }
+    }
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+}
+
+function normalizeSeverity(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (SEVERITIES.includes(text)) {
+    return { severity: text };
+  }
+  if (SEVERITY_ALIASES[text]) {
+    return { severity: SEVERITY_ALIASES[text], repair: `severity "${value}" mapped to ${SEVERITY_ALIASES[text]}` };
+  }
+  return {
+    severity: 'medium',
+    repair: text ? `unknown severity "${value}" defaulted to medium` : 'missing severity defaulted to medium'
+  };
+}
+
+// Valid line numbers for a file: 1..n for whole files, only the numbered
+// (new-side) lines for diffs.
+function lineRange(file) {
+  const numbers = file.lines.map(line => line.number).filter(n => n != null);
+  return { numbers, min: Math.min(...numbers), max: Math.max(...numbers), contiguous: !file.changedLines };
+}
+
+function clampLine(value, file) {
+  const match = /-?\d+/.exec(String(value == null ? '' : value));
+  if (!match) {
+    return { line: null, repair: value == null || value === '' ? null : `line "${value}" is not a number` };
+  }
+  const requested = parseInt(match[0], 10);
+  if (!file) {
+    return { line: requested };
+  }
+
+  const range = lineRange(file);
+  if (!range.numbers.length) {
+    return { line: null };
+  }
+  if (range.contiguous) {
+    const line = clamp(requested, range.min, range.max);
+    return { line, repair: line !== requested ? `line ${requested} clamped to ${line} in ${file.path}` : null };
+  }
+  if (range.numbers.includes(requested)) {
+    return { line: requested };
+  }
+  const nearest = range.numbers.reduce((best, n) => (Math.abs(n - requested) < Math.abs(best - requested) ? n : best));
+  return { line: nearest, repair: `line ${requested} is outside the diff for ${file.path}; moved to ${nearest}` };
+}
+
+// fallback: the file to assume when the path is missing or unknown (the
+// chunk's only file), or null when the chunk spans several files.
+function resolveFile(value, files, fallback) {
+  const path = asText(value);
+  const exact = files.find(file => file.path === path);
+  if (exact) {
+    return { file: exact };
+  }
+  // "./src/a.js" or "a.js" for "src/a.js"
+  const stripped = path.replace(/^\.?\//, '');
+  const suffix = stripped && files.filter(file => file.path === stripped || file.path.endsWith(`/${stripped}`));
+  if (suffix && suffix.length === 1) {
+    return { file: suffix[0], repair: `file "${path}" resolved to ${suffix[0].path}` };
+  }
+  if (fallback) {
+    return { file: fallback, repair: path ? `file "${path}" resolved to ${fallback.path}` : null };
+  }
+  return { file: null, repair: `file "${path}" does not match any submitted file` };
+}
+
+function scoreFromText(text) {
+  const match = /(\d{1,3}(?:\.\d+)?)\s*(?:\/\s*100|out of 100)/i.exec(text) || /score\D{0,10}(\d{1,3}(?:\.\d+)?)/i.exec(text);
+  return match ? Number(match[1]) : null;
+}
+
+function normalizeSummary(summary, bugs, repairs) {
+  let score = null;
+  let overview = '';
+
+  if (summary && typeof summary === 'object' && !Array.isArray(summary)) {
+    score = Number(summary.score ?? summary.healthScore);
+    overview = asText(summary.overview ?? summary.text ?? summary.description);
+    if (!Number.isFinite(score)) {
+      score = scoreFromText(overview);
+    }
+  } else if (typeof summary === 'number') {
+    score = summary;
+  } else {
+    overview = asText(summary);
+    score = scoreFromText(overview);
+    if (overview) {
+      repairs.push('summary string converted to { score, overview }');
+    }
+  }
+
+  if (score == null || !Number.isFinite(score)) {
+    score = bugs.reduce((total, bug) => total - DERIVED_SCORE_PENALTY[bug.severity], 100);
+    repairs.push('summary score missing; derived from bug severities');
+  }
+  const clamped = Math.round(clamp(score, 0, 100));
+  if (clamped !== Math.round(score)) {
+    repairs.push(`summary score ${score} clamped to ${clamped}`);
+  }
+  return { score: clamped, overview };
+}
+
+function normalizeComplexity(value) {
+  if (value == null || value === '') {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return normalizeComplexity(value.cyclomatic ?? value.score ?? value.value);
+  }
+  const match = /\d+(?:\.\d+)?/.exec(String(value));
+  return match ? Number(match[0]) : null;
+}
+
+// raw: the model's message content (string) or an already-parsed object.
+// files: the normalized files this review may refer to; fallbackFile as in resolveFile.
+// Returns { review, repairs } or { fatal } when nothing usable came back.
+function normalizeReview(raw, files, fallbackFile = files.length === 1 ? files[0] : null) {
+  const repairs = [];
+  let data = raw;
+
+  if (typeof raw === 'string') {
+    const parsed = parseJson(raw);
+    if (parsed.error) {
+      return { fatal: parsed.error };
+    }
+    if (parsed.repaired) {
+      repairs.push('extracted JSON object from surrounding text');
+    }
+    data = parsed.value;
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { fatal: 'Response must be a JSON object' };
+  }
+  if (!('bugs' in data) && !('suggestions' in data) && !('summary' in data)) {
+    return { fatal: 'Response has none of bugs, suggestions or summary' };
+  }
+
+  const rawBugs = data.bugs == null ? [] : data.bugs;
+  if (!Array.isArray(rawBugs)) {
+    return { fatal: 'bugs must be an array' };
+  }
+
+  const bugs = [];
+  rawBugs.forEach((entry, index) => {
+    const bug = typeof entry === 'string' ? { description: entry } : entry;
+    if (!bug || typeof bug !== 'object' || !asText(bug.description || bug.issue || bug.message)) {
+      repairs.push(`bugs[${index}] dropped: no description`);
+      return;
+    }
+    const severity = normalizeSeverity(bug.severity);
+    const file = resolveFile(bug.file, files, fallbackFile);
+    const line = clampLine(bug.line, file.file);
+    [severity.repair, file.repair, line.repair].filter(Boolean).forEach(r => repairs.push(`bugs[${index}]: ${r}`));
+    bugs.push({
+      severity: severity.severity,
+      file: file.file ? file.file.path : asText(bug.file) || null,
+      line: line.line,
+      description: asText(bug.description || bug.issue || bug.message),
+      suggestion: asText(bug.suggestion || bug.fix),
+      source: 'model'
+    });
+  });
+
+  const rawSuggestions = Array.isArray(data.suggestions) ? data.suggestions : [];
+  if (data.suggestions != null && !Array.isArray(data.suggestions)) {
+    repairs.push('suggestions was not an array and was dropped');
+  }
+  const suggestions = rawSuggestions
+    .map(entry => (typeof entry === 'string' ? { category: 'general', description: entry } : entry))
+    .filter(entry => entry && typeof entry === 'object' && asText(entry.description))
+    .map(entry => ({ category: asText(entry.category) || 'general', description: asText(entry.description) }));
+
+  return {
+    review: {
+      bugs,
+      suggestions,
+      summary: normalizeSummary(data.summary, bugs, repairs),
+      complexity: normalizeComplexity(data.complexity)
+    },
+    repairs
+  };
+}
+
+module.exports = { normalizeReview, SEVERITIES };
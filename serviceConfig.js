@@ -0,0 +1,302 @@
+// Paid routes, prices, payees and payment networks, read from services.yaml
+// (or the .yaml, .yml or .json file SERVICES_CONFIG names). The file is
+// validated as a whole and loadServiceConfig throws listing every problem, so
+// a bad edit never half-applies. watchServiceConfig reports changes so the
+// server can reload the file without a restart.
+//
+// Prices are USD strings ("$0.25") and are returned as USD atomic units (6
+// decimals). A route's price has the shape of its pricing model in
+// ROUTE_PRICING; services.yaml documents every field.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const SERVICES_CONFIG_FILE = process.env.SERVICES_CONFIG || path.join(__dirname, 'services.yaml');
+
+// Every paid route the server implements, and how its price is quoted
+const ROUTE_PRICING = {
+  'GET /api/ping': 'fixed',
+  'POST /api/code-review': 'codeReview',
+  'POST /api/code-review/stream': 'codeReview',
+  'POST /api/trading-analysis': 'tradingAnalysis',
+  'POST /api/orderbook-analysis': 'fixed',
+  'POST /api/backtest': 'backtest',
+  'POST /api/market-scan': 'perSymbol',
+  'POST /api/account/top-up': 'deposit',
+  'POST /api/pass': 'pass'
+};
+
+// Fields of each structured price: usd amounts, whole counts, multipliers
+// and per-tier multiplier maps. fixed prices are a single USD string and
+// pass prices come from the passes section.
+const PRICING_FIELDS = {
+  codeReview: {
+    base: 'usd',
+    perBlock: 'usd',
+    tokensPerBlock: 'count',
+    tierMultipliers: 'multipliers',
+    fixMultiplier: 'multiplier'
+  },
+  tradingAnalysis: { base: 'usd', perExtraTimeframe: 'usd' },
+  backtest: { base: 'usd', perBlock: 'usd', barsPerBlock: 'count' },
+  perSymbol: { perSymbol: 'usd' },
+  deposit: { min: 'usd', max: 'usd' }
+};
+
+// Routes a pass cannot cover: buying balance or a pass always goes through x402
+const UNPASSABLE_ROUTES = new Set(['POST /api/account/top-up', 'POST /api/pass']);
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readUsd(value, where, problems) {
+  const match = /^\$(\d+(?:\.\d{1,6})?)$/.exec(typeof value === 'string' ? value.trim() : '');
+  if (!match) {
+    problems.push(`${where} must be a USD price like "$0.25"`);
+    return null;
+  }
+  return Math.round(Number(match[1]) * 1e6);
+}
+
+function readCount(value, where, problems) {
+  if (!Number.isInteger(value) || value <= 0) {
+    problems.push(`${where} must be a positive whole number`);
+    return null;
+  }
+  return value;
+}
+
+function readMultiplier(value, where, problems) {
+  if (typeof value !== 'number' || !(value > 0)) {
+    problems.push(`${where} must be a positive number`);
+    return null;
+  }
+  return value;
+}
+
+function readText(value, where, problems) {
+  if (typeof value !== 'string' || !value.trim()) {
+    problems.push(`${where} must be a non-empty string`);
+    return null;
+  }
+  return value.trim();
+}
+
+function readStringList(value, where, problems) {
+  if (value == null) {
+    return undefined;
+  }
+  if (!Array.isArray(value) || !value.length || value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+    problems.push(`${where} must be a non-empty list of strings`);
+    return undefined;
+  }
+  return value.map(entry => entry.trim());
+}
+
+function readPrice(model, value, where, problems) {
+  if (model === 'fixed') {
+    return readUsd(value, where, problems);
+  }
+  if (model === 'pass') {
+    if (value != null) {
+      problems.push(`${where} is not used; pass prices are set per plan under passes`);
+    }
+    return null;
+  }
+  if (!isObject(value)) {
+    problems.push(`${where} must be an object with ${Object.keys(PRICING_FIELDS[model]).join(', ')}`);
+    return null;
+  }
+  const price = {};
+  for (const [field, type] of Object.entries(PRICING_FIELDS[model])) {
+    const fieldWhere = `${where}.${field}`;
+    if (type === 'usd') {
+      price[field] = readUsd(value[field], fieldWhere, problems);
+    } else if (type === 'count') {
+      price[field] = readCount(value[field], fieldWhere, problems);
+    } else if (type === 'multiplier') {
+      price[field] = readMultiplier(value[field], fieldWhere, problems);
+    } else if (!isObject(value[field])) {
+      problems.push(`${fieldWhere} must map each tier to a multiplier`);
+    } else {
+      price[field] = Object.fromEntries(
+        Object.entries(value[field]).map(([tier, multiplier]) => [
+          tier,
+          readMultiplier(multiplier, `${fieldWhere}.${tier}`, problems)
+        ])
+      );
+    }
+  }
+  const unknown = Object.keys(value).filter(field => !(field in PRICING_FIELDS[model]));
+  if (unknown.length) {
+    problems.push(`${where} has unknown fields ${unknown.join(', ')}`);
+  }
+  if (model === 'deposit' && price.min != null && price.max != null && price.min > price.max) {
+    problems.push(`${where}.min must not exceed ${where}.max`);
+  }
+  return price;
+}
+
+function readRoutes(routes, problems) {
+  if (!isObject(routes)) {
+    problems.push('routes must map "METHOD /path" to a route');
+    return {};
+  }
+  const unknown = Object.keys(routes).filter(key => !ROUTE_PRICING[key]);
+  if (unknown.length) {
+    problems.push(`unknown routes ${unknown.join(', ')} (known: ${Object.keys(ROUTE_PRICING).join(', ')})`);
+  }
+  const result = {};
+  for (const [key, model] of Object.entries(ROUTE_PRICING)) {
+    const route = routes[key];
+    if (!isObject(route)) {
+      problems.push(`routes["${key}"] is missing`);
+      continue;
+    }
+    result[key] = {
+      pricing: model,
+      price: readPrice(model, route.price, `routes["${key}"].price`, problems),
+      maxTimeoutSeconds: readCount(route.maxTimeoutSeconds, `routes["${key}"].maxTimeoutSeconds`, problems),
+      description: readText(route.description, `routes["${key}"].description`, problems)
+    };
+  }
+  return result;
+}
+
+function readPasses(passes, problems) {
+  if (!isObject(passes) || !isObject(passes.plans) || !Object.keys(passes.plans).length) {
+    problems.push('passes.plans must define at least one plan');
+    return { default: null, plans: {} };
+  }
+  const plans = {};
+  for (const [name, plan] of Object.entries(passes.plans)) {
+    const where = `passes.plans.${name}`;
+    if (!isObject(plan)) {
+      problems.push(`${where} must be an object`);
+      continue;
+    }
+    const routes = readStringList(plan.routes, `${where}.routes`, problems) || [];
+    const uncovered = routes.filter(route => !ROUTE_PRICING[route] || UNPASSABLE_ROUTES.has(route));
+    if (uncovered.length) {
+      problems.push(`${where}.routes cannot include ${uncovered.join(', ')}`);
+    }
+    const amount = readUsd(plan.price, `${where}.price`, problems);
+    plans[name] = {
+      price: amount == null ? null : plan.price.trim(),
+      amount,
+      durationSeconds: readCount(plan.durationSeconds, `${where}.durationSeconds`, problems),
+      routes,
+      description: readText(plan.description, `${where}.description`, problems)
+    };
+  }
+  const defaultPlan = passes.default ?? Object.keys(plans)[0];
+  if (!plans[defaultPlan]) {
+    problems.push(`passes.default must name one of ${Object.keys(plans).join(', ')}`);
+  }
+  return { default: defaultPlan, plans };
+}
+
+function readPayments(payments, problems) {
+  if (payments == null) {
+    return {};
+  }
+  if (!isObject(payments)) {
+    problems.push('payments must be an object');
+    return {};
+  }
+  const eurPerUsd = payments.eurPerUsd;
+  if (eurPerUsd != null && !(typeof eurPerUsd === 'number' && eurPerUsd > 0)) {
+    problems.push('payments.eurPerUsd must be a positive number');
+  }
+  return {
+    networks: readStringList(payments.networks, 'payments.networks', problems),
+    assets: readStringList(payments.assets, 'payments.assets', problems),
+    eurPerUsd: eurPerUsd ?? undefined
+  };
+}
+
+function readPayTo(payTo, problems) {
+  if (!isObject(payTo)) {
+    problems.push('payTo must map evm (and svm for Solana) to wallet addresses');
+    return {};
+  }
+  const result = {};
+  for (const vm of ['evm', 'svm']) {
+    if (payTo[vm] != null) {
+      result[vm] = readText(payTo[vm], `payTo.${vm}`, problems);
+    }
+  }
+  return result;
+}
+
+function readPublicUrl(value, problems) {
+  if (value == null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || !/^https?:\/\/[^/\s]+(\/\S*)?$/.test(value.trim())) {
+    problems.push('publicUrl must be an http(s) URL');
+    return null;
+  }
+  return value.trim().replace(/\/+$/, '');
+}
+
+function parseConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+}
+
+// Returns { file, payTo, payments, publicUrl, routes, passes } with prices in
+// USD atomic units; throws on a missing, unparsable or invalid file
+function loadServiceConfig(file = SERVICES_CONFIG_FILE) {
+  let raw;
+  try {
+    raw = parseConfigFile(file);
+  } catch (error) {
+    throw new Error(`Invalid service configuration in ${file}: ${error.message}`);
+  }
+  const problems = [];
+  if (!isObject(raw)) {
+    problems.push('the file must contain an object');
+    raw = {};
+  }
+  const config = {
+    file,
+    payTo: readPayTo(raw.payTo, problems),
+    payments: readPayments(raw.payments, problems),
+    publicUrl: readPublicUrl(raw.publicUrl, problems),
+    routes: readRoutes(raw.routes, problems),
+    passes: readPasses(raw.passes, problems)
+  };
+  if (problems.length) {
+    throw new Error(`Invalid service configuration in ${file}: ${problems.join('; ')}`);
+  }
+  return config;
+}
+
+// Calls onChange once a burst of writes to the file has settled. The
+// directory is watched, since editors often replace the file instead of
+// writing to it. Returns a function that stops watching.
+function watchServiceConfig(file, onChange, { debounceMs = 250 } = {}) {
+  const name = path.basename(file);
+  let timer = null;
+  const watcher = fs.watch(path.dirname(file), (event, changed) => {
+    if (changed && changed !== name) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  });
+  watcher.unref();
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+module.exports = {
+  loadServiceConfig,
+  watchServiceConfig,
+  SERVICES_CONFIG_FILE,
+  ROUTE_PRICING
+};
@@ -0,0 +1,254 @@
+// Deterministic pre-pass for code review: JS/TS AST checks, cyclomatic
+// complexity per function, and secret detection for every language.
+// Findings use the review bug shape so they can be merged straight into `bugs`.
+const ts = require('typescript');
+
+const AST_LANGUAGES = ['javascript', 'typescript'];
+const COMPLEXITY_WARN = 10;
+const COMPLEXITY_HIGH = 20;
+const MAX_REPORTED_FUNCTIONS = 20;
+
+const SECRET_PATTERNS = [
+  { rule: 'aws-access-key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/, label: 'AWS access key id' },
+  { rule: 'private-key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY( BLOCK)?-----/, label: 'private key block' },
+  { rule: 'github-token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/, label: 'GitHub token' },
+  { rule: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/, label: 'Slack token' },
+  { rule: 'stripe-key', pattern: /\b[rs]k_live_[A-Za-z0-9]{20,}\b/, label: 'Stripe live key' },
+  { rule: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/, label: 'Google API key' },
+  { rule: 'openai-key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}\b/, label: 'OpenAI-style API key' },
+  { rule: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/, label: 'JSON Web Token' },
+  { rule: 'hex-private-key', pattern: /(private_?key|secret|mnemonic)\w*['"]?\s*[:=]\s*['"]?(0x)?[0-9a-fA-F]{64}\b/i, label: 'hex private key' },
+  {
+    rule: 'hardcoded-credential',
+    pattern: /\b(password|passwd|pwd|secret|api_?key|apikey|access_?token|auth_?token|client_?secret)\w*['"]?\s*[:=]\s*['"]([^'"\s]{8,})['"]/i,
+    label: 'hard-coded credential'
+  }
+];
+
+// Values that are clearly placeholders, not secrets
+const PLACEHOLDER = /^(x+|\*+|<.*>|\$\{.*\}|your[_-]?.*|changeme|placeholder|example.*|dummy.*|test.*|process\.env.*)$/i;
+
+function finding(severity, file, line, rule, description, suggestion) {
+  return { severity, file, line, description, suggestion, source: 'static', rule };
+}
+
+function detectSecrets(file) {
+  const findings = [];
+  const isDiff = Boolean(file.changedLines);
+  for (const line of file.lines) {
+    // Diffs: only report secrets the change introduces
+    if (line.number == null || (isDiff && line.marker !== '+')) {
+      continue;
+    }
+    for (const { rule, pattern, label } of SECRET_PATTERNS) {
+      const match = pattern.exec(line.text);
+      if (!match || (rule === 'hardcoded-credential' && PLACEHOLDER.test(match[2]))) {
+        continue;
+      }
+      findings.push(finding(
+        'high',
+        file.path,
+        line.number,
+        `secret/${rule}`,
+        `Possible ${label} committed in source`,
+        'Remove it from the code, rotate the credential and load it from the environment or a secret store'
+      ));
+      break;
+    }
+  }
+  return findings;
+}
+
+function scriptKindFor(path, language) {
+  if (/\.tsx$/i.test(path)) {
+    return ts.ScriptKind.TSX;
+  }
+  if (/\.ts$/i.test(path) || language === 'typescript') {
+    return ts.ScriptKind.TS;
+  }
+  // JSX is a superset of plain JS for parsing purposes
+  return ts.ScriptKind.JSX;
+}
+
+function isFunctionLike(node) {
+  return ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node) || ts.isArrowFunction(node) ||
+    ts.isMethodDeclaration(node) || ts.isConstructorDeclaration(node) ||
+    ts.isGetAccessorDeclaration(node) || ts.isSetAccessorDeclaration(node);
+}
+
+function functionName(node, sourceFile) {
+  if (ts.isConstructorDeclaration(node)) {
+    return 'constructor';
+  }
+  if (node.name) {
+    return node.name.getText(sourceFile);
+  }
+  // const handler = () => ...  /  { onClick: function () {} }
+  const parent = node.parent;
+  if (parent && (ts.isVariableDeclaration(parent) || ts.isPropertyAssignment(parent)) && parent.name) {
+    return parent.name.getText(sourceFile);
+  }
+  return '<anonymous>';
+}
+
+// McCabe: 1 + one per branch point (if, ?:, loops, non-default case, catch,
+// &&, ||, ??). Nested functions are measured on their own.
+function decisionPoints(node) {
+  switch (node.kind) {
+    case ts.SyntaxKind.IfStatement:
+    case ts.SyntaxKind.ConditionalExpression:
+    case ts.SyntaxKind.ForStatement:
+    case ts.SyntaxKind.ForInStatement:
+    case ts.SyntaxKind.ForOfStatement:
+    case ts.SyntaxKind.WhileStatement:
+    case ts.SyntaxKind.DoStatement:
+    case ts.SyntaxKind.CaseClause:
+    case ts.SyntaxKind.CatchClause:
+      return 1;
+    case ts.SyntaxKind.BinaryExpression:
+      return [
+        ts.SyntaxKind.AmpersandAmpersandToken,
+        ts.SyntaxKind.BarBarToken,
+        ts.SyntaxKind.QuestionQuestionToken,
+        ts.SyntaxKind.AmpersandAmpersandEqualsToken,
+        ts.SyntaxKind.BarBarEqualsToken,
+        ts.SyntaxKind.QuestionQuestionEqualsToken
+      ].includes(node.operatorToken.kind) ? 1 : 0;
+    default:
+      return 0;
+  }
+}
+
+function measureComplexity(fn) {
+  let complexity = 1;
+  const visit = node => {
+    if (node !== fn && isFunctionLike(node)) {
+      return;
+    }
+    complexity += decisionPoints(node);
+    ts.forEachChild(node, visit);
+  };
+  visit(fn);
+  return complexity;
+}
+
+function isNullLiteral(node) {
+  return node.kind === ts.SyntaxKind.NullKeyword || (ts.isIdentifier(node) && node.text === 'undefined');
+}
+
+// A handful of checks that are always worth reporting
+function checkNode(node, sourceFile, report) {
+  if (ts.isCallExpression(node) && ts.isIdentifier(node.expression) && node.expression.text === 'eval') {
+    report(node, 'high', 'ast/no-eval', 'eval() executes arbitrary code', 'Parse the input explicitly instead of evaluating it');
+  } else if (ts.isNewExpression(node) && ts.isIdentifier(node.expression) && node.expression.text === 'Function') {
+    report(node, 'high', 'ast/no-new-function', 'new Function() compiles arbitrary code at runtime', 'Replace the dynamic code with a regular function');
+  } else if (ts.isCatchClause(node) && node.block.statements.length === 0) {
+    report(node, 'medium', 'ast/no-empty-catch', 'Empty catch block silently swallows errors', 'Log, handle or rethrow the error');
+  } else if (node.kind === ts.SyntaxKind.DebuggerStatement) {
+    report(node, 'low', 'ast/no-debugger', 'debugger statement left in code', 'Remove the debugger statement');
+  } else if (ts.isBinaryExpression(node) &&
+    [ts.SyntaxKind.EqualsEqualsToken, ts.SyntaxKind.ExclamationEqualsToken].includes(node.operatorToken.kind) &&
+    !isNullLiteral(node.left) && !isNullLiteral(node.right)) {
+    report(node, 'low', 'ast/eqeqeq', `Loose equality (${node.operatorToken.getText(sourceFile)}) coerces types`, 'Use === / !== instead');
+  } else if (ts.isBinaryExpression(node) && node.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+    ts.isPropertyAccessExpression(node.left) && ['innerHTML', 'outerHTML'].includes(node.left.name.text)) {
+    report(node, 'medium', 'ast/no-inner-html', `Assignment to ${node.left.name.text} can introduce XSS`, 'Use textContent or sanitize the HTML first');
+  }
+}
+
+// Returns { parsed, findings, functions } for a whole JS/TS file.
+// `strict` = the language was declared, so syntax errors are reported; for
+// language "auto" a file that does not parse is simply not treated as JS.
+function analyzeSyntaxTree(file, strict) {
+  const content = file.lines.map(line => line.text).join('\n');
+  const sourceFile = ts.createSourceFile(file.path, content, ts.ScriptTarget.Latest, true, scriptKindFor(file.path, file.language));
+  const lineOf = node => sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+  const diagnostics = sourceFile.parseDiagnostics || [];
+
+  if (diagnostics.length) {
+    if (!strict) {
+      return { parsed: false, findings: [], functions: [] };
+    }
+    const first = diagnostics[0];
+    return {
+      parsed: false,
+      findings: [finding(
+        'high',
+        file.path,
+        sourceFile.getLineAndCharacterOfPosition(first.start || 0).line + 1,
+        'ast/syntax-error',
+        `Syntax error: ${ts.flattenDiagnosticMessageText(first.messageText, ' ')}` +
+          (diagnostics.length > 1 ? ` (${diagnostics.length - 1} more)` : ''),
+        'Fix the syntax error; the file cannot be parsed'
+      )],
+      functions: []
+    };
+  }
+
+  const findings = [];
+  const functions = [];
+  const report = (node, severity, rule, description, suggestion) => {
+    findings.push(finding(severity, file.path, lineOf(node), rule, description, suggestion));
+  };
+
+  const visit = node => {
+    checkNode(node, sourceFile, report);
+    if (isFunctionLike(node)) {
+      const complexity = measureComplexity(node);
+      const entry = { file: file.path, name: functionName(node, sourceFile), line: lineOf(node), complexity };
+      functions.push(entry);
+      if (complexity > COMPLEXITY_WARN) {
+        report(
+          node,
+          complexity > COMPLEXITY_HIGH ? 'medium' : 'low',
+          'complexity',
+          `Function ${entry.name} has cyclomatic complexity ${complexity}`,
+          'Split it into smaller functions or simplify the branching'
+        );
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  return { parsed: true, findings, functions };
+}
+
+// files: normalized review files (see codeReview.normalizeReviewInput).
+// Diff files only get secret detection, since hunks are not parseable code.
+function analyzeFiles(files) {
+  const findings = [];
+  const functions = [];
+  const analyzedFiles = [];
+
+  for (const file of files) {
+    findings.push(...detectSecrets(file));
+
+    const declared = AST_LANGUAGES.includes(file.language);
+    if (file.changedLines || (!declared && file.language !== 'auto')) {
+      continue;
+    }
+    const result = analyzeSyntaxTree(file, declared);
+    findings.push(...result.findings);
+    functions.push(...result.functions);
+    if (result.parsed) {
+      analyzedFiles.push(file.path);
+    }
+  }
+
+  const values = functions.map(fn => fn.complexity);
+  return {
+    findings,
+    complexity: analyzedFiles.length
+      ? {
+          max: values.length ? Math.max(...values) : 1,
+          average: values.length ? Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2)) : 1,
+          functionCount: functions.length,
+          functions: [...functions].sort((a, b) => b.complexity - a.complexity).slice(0, MAX_REPORTED_FUNCTIONS),
+          analyzedFiles
+        }
+      : null
+  };
+}
+
+module.exports = { analyzeFiles };
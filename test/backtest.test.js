@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { countBacktestBars } = require('../backtest');
+
+const HOUR = 3600000;
+const BOUNDARY = Date.UTC(2025, 0, 10, 12);
+
+function barsAt(t, now, options) {
+  t.mock.method(Date, 'now', () => now);
+  const bars = countBacktestBars(options);
+  t.mock.restoreAll();
+  return bars;
+}
+
+test('without end, the quoted bars do not change within a bar', t => {
+  const start = new Date(BOUNDARY - 100 * HOUR - 20 * 60000).toISOString();
+  const early = barsAt(t, BOUNDARY + 1000, { timeframe: '1h', start });
+  const late = barsAt(t, BOUNDARY + HOUR - 1000, { timeframe: '1h', start });
+  assert.equal(early, 101);
+  assert.equal(late, early);
+  assert.equal(barsAt(t, BOUNDARY + HOUR, { timeframe: '1h', start }), 102);
+});
+
+test('without start or end, the default range is the same size at any time', t => {
+  const bars = [BOUNDARY, BOUNDARY + 1, BOUNDARY + HOUR / 2].map(now => barsAt(t, now, { timeframe: '1h' }));
+  assert.deepEqual(bars, [bars[0], bars[0], bars[0]]);
+});
+
+test('an explicit end is used as given', t => {
+  const options = { timeframe: '1h', start: BOUNDARY - 10 * HOUR, end: BOUNDARY - 30 * 60000 };
+  assert.equal(barsAt(t, BOUNDARY + 1000, options), 10);
+  assert.equal(barsAt(t, BOUNDARY + HOUR * 5, options), 10);
+});
@@ -0,0 +1,83 @@
+// Code review round trips through the offline mock provider (llm/mock.js)
+process.env.CODE_REVIEW_PROVIDER = 'mock';
+process.env.CODE_REVIEW_DEEP_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCodeReview } = require('../codeReview');
+
+const SAMPLE = [
+  'function load(input) {',
+  '  const value = eval(input);',
+  '  if (value == null) {',
+  '    return 0;',
+  '  }',
+  '  return value;',
+  '}',
+  ''
+].join('\n');
+
+function assertFinding(bug) {
+  assert.ok(['high', 'medium', 'low'].includes(bug.severity), `severity ${bug.severity}`);
+  assert.equal(typeof bug.file, 'string');
+  assert.ok(Number.isInteger(bug.line) && bug.line >= 1, `line ${bug.line}`);
+  assert.equal(typeof bug.description, 'string');
+  assert.ok(bug.description.length > 0);
+  assert.equal(typeof bug.suggestion, 'string');
+  assert.ok(['model', 'static'].includes(bug.source), `source ${bug.source}`);
+}
+
+test('a mock review returns findings in the review schema', async () => {
+  const review = await getCodeReview(SAMPLE, 'javascript');
+
+  assert.equal(review.error, undefined);
+  assert.ok(Array.isArray(review.bugs) && review.bugs.length > 0);
+  review.bugs.forEach(assertFinding);
+  assert.ok(review.bugs.some(bug => bug.line === 2 && /eval/.test(bug.description)));
+  assert.ok(review.bugs.some(bug => bug.line === 3 && /equality/i.test(bug.description)));
+
+  assert.ok(Array.isArray(review.suggestions));
+  review.suggestions.forEach(suggestion => {
+    assert.equal(typeof suggestion.category, 'string');
+    assert.equal(typeof suggestion.description, 'string');
+  });
+  assert.ok(Number.isInteger(review.summary.score) && review.summary.score >= 0 && review.summary.score <= 100);
+  assert.equal(typeof review.summary.overview, 'string');
+  assert.deepEqual(review.model, { tier: 'standard', provider: 'mock', name: 'mock-reviewer' });
+  assert.deepEqual(review.files, [{ path: 'input', language: 'javascript', lines: SAMPLE.split('\n').length }]);
+});
+
+test('a mock review of several files names the file of each finding', async () => {
+  const review = await getCodeReview(undefined, 'auto', {
+    files: [
+      { path: 'src/a.js', content: 'const ok = 1;\n' },
+      { path: 'src/b.js', content: 'try { run(); } catch (e) {}\n' }
+    ]
+  });
+
+  assert.equal(review.error, undefined);
+  review.bugs.forEach(assertFinding);
+  assert.ok(review.bugs.length > 0);
+  assert.ok(review.bugs.every(bug => bug.file === 'src/b.js'));
+});
+
+test('invalid input is reported with an error code', async () => {
+  assert.deepEqual(await getCodeReview('', 'javascript'), { error: 'Code is required', code: 'invalid_request' });
+  const review = await getCodeReview('x', 'javascript', { tier: 'nope' });
+  assert.equal(review.code, 'invalid_request');
+});
+
+test('two findings on one line each get their own fix', async () => {
+  const code = 'function load(input) {\n  if (eval(input) == 1) {\n    return 0;\n  }\n}\n';
+  const review = await getCodeReview(code, 'javascript', { fix: true });
+
+  assert.equal(review.error, undefined);
+  const evalBug = review.bugs.find(bug => bug.line === 2 && /eval/.test(bug.description));
+  const equalityBug = review.bugs.find(bug => bug.line === 2 && /equality/i.test(bug.description));
+  assert.ok(evalBug && equalityBug);
+  assert.match(evalBug.patch, /^\+ {2}if \(JSON\.parse\(input\) == 1\) \{$/m);
+  assert.match(equalityBug.patch, /^\+ {2}if \(eval\(input\) === 1\) \{$/m);
+  // Both rewrite line 2, so only one makes it into the combined patch
+  assert.equal(review.patch.fixed, 1);
+  assert.ok(review.patch.skipped.some(skip => /overlaps/.test(skip.reason)));
+});
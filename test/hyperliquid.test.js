@@ -0,0 +1,45 @@
+// candleSnapshot is stubbed, so nothing leaves the machine
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const hyperliquid = require('../marketData/hyperliquid');
+
+const HOUR = 3600000;
+
+// Answers like the API: up to 5000 hourly bars from the bar startTime falls in
+function stubSnapshot(t, firstBar, lastBar) {
+  const requests = [];
+  t.mock.method(axios, 'post', async (url, body) => {
+    requests.push(body.req);
+    const from = Math.max(firstBar, Math.floor(body.req.startTime / HOUR) * HOUR);
+    const data = [];
+    for (let time = from; time <= Math.min(body.req.endTime, lastBar) && data.length < 5000; time += HOUR) {
+      data.push({ t: time, T: time + HOUR - 1, o: '1', h: '2', l: '0.5', c: '1.5', v: '10' });
+    }
+    return { data };
+  });
+  return requests;
+}
+
+test('getCandles pages past the 5000-bar limit', async t => {
+  const start = Date.UTC(2024, 0, 1);
+  const end = start + 12000 * HOUR;
+  const requests = stubSnapshot(t, start, end);
+
+  const candles = await hyperliquid.getCandles('BTC', '1h', { startTime: start, endTime: end });
+  assert.equal(candles.length, 12001);
+  assert.equal(requests.length, 3);
+  assert.equal(requests[1].startTime, start + 4999 * HOUR + 1);
+  assert.equal(candles[0].t, start);
+  assert.equal(candles.at(-1).t, end);
+  assert.ok(candles.every((candle, i) => i === 0 || candle.t - candles[i - 1].t === HOUR));
+  assert.deepEqual(candles[0], { t: start, T: start + HOUR - 1, o: 1, h: 2, l: 0.5, c: 1.5, v: 10 });
+});
+
+test('getCandles makes one request for a short window', async t => {
+  const start = Date.UTC(2024, 0, 1);
+  const requests = stubSnapshot(t, start, start + 100 * HOUR);
+  const candles = await hyperliquid.getCandles('BTC', '1h', { startTime: start, endTime: start + 200 * HOUR });
+  assert.equal(candles.length, 101);
+  assert.equal(requests.length, 1);
+});
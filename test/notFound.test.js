@@ -0,0 +1,41 @@
+// An unknown symbol gets the same error body shape as every other failure
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerProvider } = require('../marketData');
+const { getTradingAnalysis, getMultiTimeframeAnalysis } = require('../tradingAnalysis');
+const { getFundingAnalysis } = require('../fundingAnalysis');
+const { getOrderBookAnalysis } = require('../orderBookAnalysis');
+
+registerProvider({
+  name: 'empty',
+  label: 'Empty Exchange',
+  timeframes: ['1h', '4h'],
+  getMarketContext: async () => null,
+  getCandles: async () => [],
+  getFundingHistory: async () => [],
+  getOrderBook: async () => null
+});
+
+function assertNotFound(body, extra = {}) {
+  assert.equal(body.code, 'not_found');
+  assert.equal(body.symbol, 'NOPE');
+  assert.equal(body.error, 'Symbol NOPE not found on Empty Exchange');
+  assert.equal(body.dataSource, 'Empty Exchange');
+  assert.ok(!Number.isNaN(Date.parse(body.timestamp)), `timestamp ${body.timestamp}`);
+  for (const [key, value] of Object.entries(extra)) {
+    assert.deepEqual(body[key], value, key);
+  }
+}
+
+test('trading analysis of an unknown symbol', async () => {
+  assertNotFound(await getTradingAnalysis('NOPE', '1h', 'empty'), { timeframe: '1h' });
+  assertNotFound(await getMultiTimeframeAnalysis('NOPE', ['4h', '1h'], 'empty'), { timeframes: ['1h', '4h'] });
+});
+
+test('funding analysis of an unknown symbol', async () => {
+  assertNotFound(await getFundingAnalysis('NOPE', { source: 'empty' }), { mode: 'funding' });
+});
+
+test('order book analysis of an unknown symbol', async () => {
+  assertNotFound(await getOrderBookAnalysis('NOPE', { source: 'empty' }));
+});
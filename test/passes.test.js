@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPassIssuer, claimedRoutes } = require('../passes');
+const { startFacilitator, startServer, SOLANA_PAY_TO } = require('./support/server');
+
+const DEVNETS = ['eip155:84532', 'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1'];
+const PLAN = { name: 'trading-24h', routes: ['POST /api/trading-analysis'], durationSeconds: 3600 };
+
+// A pass signed with another secret, as after a rotation or a forgery
+function foreignPass() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rook-passes-'));
+  try {
+    return createPassIssuer({ dir, secret: 'not-the-server-secret' }).issue({ plan: PLAN, wallet: null }).token;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('claimedRoutes reads the routes of any well-formed token', () => {
+  const token = foreignPass();
+  assert.deepEqual(claimedRoutes(token), PLAN.routes);
+  assert.deepEqual(claimedRoutes(`${token.split('.')[0]}.tampered`), PLAN.routes);
+  assert.deepEqual(claimedRoutes('rp_not-json.sig'), []);
+  assert.deepEqual(claimedRoutes('sk_live_123'), []);
+});
+
+test('a pass the server cannot verify only blocks the routes it claims', async t => {
+  const facilitator = await startFacilitator(DEVNETS);
+  t.after(() => facilitator.close());
+  const server = await startServer({
+    env: { X402_FACILITATOR_URL: facilitator.url, SOLANA_PAY_TO }
+  });
+  t.after(() => server.stop());
+
+  const token = foreignPass();
+  const request = route => fetch(server.url + route, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-access-pass': token },
+    body: JSON.stringify({ symbol: 'BTC' })
+  });
+
+  // Not covered: the usual payment requirements, so an x402 payment still works
+  const uncovered = await request('/api/orderbook-analysis');
+  assert.equal(uncovered.status, 402);
+  assert.ok(uncovered.headers.get('payment-required'));
+
+  const covered = await request('/api/trading-analysis');
+  assert.equal(covered.status, 403);
+  assert.match(await covered.text(), /Invalid access pass/);
+});
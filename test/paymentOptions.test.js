@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { paymentEnvOverrides } = require('../paymentOptions');
+
+const VARIABLES = ['X402_NETWORKS', 'X402_NETWORK', 'X402_ASSETS', 'X402_EUR_PER_USD', 'SOLANA_PAY_TO'];
+
+function withEnv(env, fn) {
+  const saved = Object.fromEntries(VARIABLES.map(name => [name, process.env[name]]));
+  for (const name of VARIABLES) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, env);
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+test('environment variables that replace services.yaml settings are reported', () => {
+  const config = {
+    payments: { networks: ['eip155:8453'], assets: ['USDC'] },
+    payTo: { svm: '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin' }
+  };
+  const overrides = withEnv({ X402_NETWORK: 'eip155:84532', X402_ASSETS: 'USDC,EURC', SOLANA_PAY_TO: 'x' },
+    () => paymentEnvOverrides(config));
+  assert.deepEqual(overrides, [
+    { variable: 'X402_NETWORK', field: 'payments.networks' },
+    { variable: 'X402_ASSETS', field: 'payments.assets' },
+    { variable: 'SOLANA_PAY_TO', field: 'payTo.svm' }
+  ]);
+});
+
+test('environment variables for settings the file leaves out are not reported', () => {
+  const overrides = withEnv({ X402_NETWORKS: 'eip155:8453', X402_EUR_PER_USD: '0.9' },
+    () => paymentEnvOverrides({ payments: { assets: ['USDC'] }, payTo: {} }));
+  assert.deepEqual(overrides, []);
+  assert.deepEqual(withEnv({}, () => paymentEnvOverrides({
+    payments: { networks: ['eip155:8453'], assets: ['USDC'], eurPerUsd: 0.92 },
+    payTo: { svm: 'x' }
+  })), []);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ROUTE_PRICING } = require('../serviceConfig');
+const { startFacilitator, startServer, paymentRequired, SOLANA_PAY_TO } = require('./support/server');
+
+const DEVNETS = ['eip155:84532', 'solana:EtWTRABZaYq6iMfeYKouRu166VU2xqa1'];
+const DEVNET_USDC = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+
+// A body each paid route accepts before asking for payment
+const REQUEST_BODIES = {
+  'GET /api/ping': null,
+  'POST /api/code-review': { code: 'const a = 1;' },
+  'POST /api/code-review/stream': { code: 'const a = 1;' },
+  'POST /api/trading-analysis': { symbol: 'BTC' },
+  'POST /api/orderbook-analysis': { symbol: 'BTC' },
+  'POST /api/backtest': { symbol: 'BTC', start: '2025-01-01', end: '2025-01-10' },
+  'POST /api/market-scan': { symbols: ['BTC', 'ETH'] },
+  'POST /api/account/top-up': { amount: 5 },
+  'POST /api/pass': { plan: 'trading-24h' }
+};
+
+test('every paid route offers Solana USDC by default', async t => {
+  const facilitator = await startFacilitator(DEVNETS);
+  t.after(() => facilitator.close());
+  const server = await startServer({
+    env: { X402_FACILITATOR_URL: facilitator.url, SOLANA_PAY_TO }
+  });
+  t.after(() => server.stop());
+
+  assert.deepEqual(Object.keys(REQUEST_BODIES).sort(), Object.keys(ROUTE_PRICING).sort());
+  for (const [key, body] of Object.entries(REQUEST_BODIES)) {
+    const [method, route] = key.split(' ');
+    const { status, required } = await paymentRequired(server.url, method, route, body);
+    assert.equal(status, 402, key);
+    const solana = required.accepts.filter(accept => accept.network.startsWith('solana:'));
+    assert.equal(solana.length, 1, `${key} offers one Solana entry`);
+    assert.equal(solana[0].network, DEVNETS[1]);
+    assert.equal(solana[0].scheme, 'exact');
+    assert.equal(solana[0].asset, DEVNET_USDC);
+    assert.equal(solana[0].payTo, SOLANA_PAY_TO);
+    assert.equal(solana[0].extra.feePayer, '2wmVCSfPxGPjrnMMn7rchp4uaeoTqN39mXFC2zhPdri9');
+    assert.ok(/^[1-9]\d*$/.test(solana[0].amount), `${key} amount ${solana[0].amount}`);
+    assert.ok(required.accepts.some(accept => accept.network === DEVNETS[0]), `${key} still offers Base Sepolia`);
+  }
+});
+
+test('the server refuses to start without a Solana wallet', async () => {
+  const facilitator = await startFacilitator(DEVNETS);
+  try {
+    await assert.rejects(startServer({ env: { X402_FACILITATOR_URL: facilitator.url } }), error => {
+      assert.match(error.output, /Solana networks \(Solana Devnet\) need a base58 wallet in payTo\.svm or SOLANA_PAY_TO/);
+      return true;
+    });
+  } finally {
+    await facilitator.close();
+  }
+});
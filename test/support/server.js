@@ -0,0 +1,109 @@
+// Runs index.js in a child process against a stub x402 facilitator, with its
+// data directory in a temporary folder. Nothing is settled: the stub only
+// answers /supported, which the server needs to build its payment routes.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SOLANA_FEE_PAYER = '2wmVCSfPxGPjrnMMn7rchp4uaeoTqN39mXFC2zhPdri9';
+const SOLANA_PAY_TO = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+async function freePort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+// Advertises the exact scheme on every network it is given
+async function startFacilitator(networks) {
+  const server = http.createServer((req, res) => {
+    res.setHeader('content-type', 'application/json');
+    if (req.url.endsWith('/supported')) {
+      const kinds = networks.map(network => ({
+        x402Version: 2,
+        scheme: 'exact',
+        network,
+        ...(network.startsWith('solana:') ? { extra: { feePayer: SOLANA_FEE_PAYER } } : {})
+      }));
+      return res.end(JSON.stringify({ kinds, extensions: [], signers: {} }));
+    }
+    res.statusCode = 404;
+    return res.end('{}');
+  });
+  const port = await listen(server);
+  return { url: `http://127.0.0.1:${port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Resolves to { url, output, stop } once /health answers, or rejects with the
+// server's output when it exits first
+async function startServer({ env = {}, timeoutMs = 20000 } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rook-server-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'index.js')], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      CODE_REVIEW_PROVIDER: 'mock',
+      X402_ENABLE_FACILITATOR_FALLBACK: 'false',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const stop = async () => {
+    if (child.exitCode == null) {
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode != null) {
+      await stop();
+      throw Object.assign(new Error(`server exited with ${child.exitCode}`), { output });
+    }
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) {
+        return { url, output: () => output, stop };
+      }
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  await stop();
+  throw Object.assign(new Error('server did not start in time'), { output });
+}
+
+// The x402 payment requirements of an unpaid request
+async function paymentRequired(url, method, route, body) {
+  const response = await fetch(url + route, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const header = response.headers.get('payment-required');
+  return {
+    status: response.status,
+    required: header ? JSON.parse(Buffer.from(header, 'base64').toString()) : null
+  };
+}
+
+module.exports = { startFacilitator, startServer, paymentRequired, SOLANA_PAY_TO };
@@ -0,0 +1,78 @@
+// DNS and the outgoing POST are stubbed, so nothing leaves the machine
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const axios = require('axios');
+const { validateWebhookUrl, postWebhook } = require('../jobs/webhooks');
+
+function stubLookup(t, addresses) {
+  const lookups = [];
+  t.mock.method(dns.promises, 'lookup', async (hostname, options) => {
+    lookups.push({ hostname, options });
+    return addresses;
+  });
+  return lookups;
+}
+
+function stubPost(t) {
+  const posts = [];
+  t.mock.method(axios, 'post', async (url, body, config) => {
+    posts.push({ url, body, config });
+    return { status: 204 };
+  });
+  return posts;
+}
+
+test('webhook URLs must be https and must not name a private host', () => {
+  assert.equal(validateWebhookUrl('https://hooks.example.com/job'), null);
+  assert.equal(validateWebhookUrl('http://hooks.example.com/job'), 'webhookUrl must use https');
+  for (const url of ['https://127.0.0.1/', 'https://169.254.169.254/latest', 'https://10.1.2.3/', 'https://[::1]/', 'https://localhost/']) {
+    assert.equal(validateWebhookUrl(url), 'webhookUrl must point to a public host', url);
+  }
+});
+
+test('delivery refuses a host name that resolves to a private address', async t => {
+  for (const address of ['127.0.0.1', '169.254.169.254', '10.0.0.7', 'fe80::1']) {
+    t.mock.restoreAll();
+    const posts = stubPost(t);
+    const lookups = stubLookup(t, [
+      { address: '93.184.216.34', family: 4 },
+      { address, family: address.includes(':') ? 6 : 4 }
+    ]);
+
+    const outcome = await postWebhook('https://rebind.example.com/hook', 'secret', { id: 'job' });
+
+    assert.deepEqual(outcome, { ok: false, error: 'webhook host rebind.example.com resolves to a private address' }, address);
+    assert.deepEqual(lookups, [{ hostname: 'rebind.example.com', options: { all: true } }]);
+    assert.equal(posts.length, 0);
+  }
+});
+
+test('delivery connects to the address it checked', async t => {
+  stubLookup(t, [{ address: '203.0.113.10', family: 4 }]);
+  const posts = stubPost(t);
+
+  const outcome = await postWebhook('https://hooks.example.com/job', 'secret', { id: 'job-1' });
+
+  assert.deepEqual(outcome, { ok: true, status: 204 });
+  assert.equal(posts.length, 1);
+  const { config } = posts[0];
+  assert.equal(config.proxy, false);
+  assert.equal(config.maxRedirects, 0);
+  const resolved = await new Promise((resolve, reject) => {
+    config.lookup('hooks.example.com', {}, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+  });
+  assert.deepEqual(resolved, { address: '203.0.113.10', family: 4 });
+});
+
+test('delivery re-checks the URL before resolving it', async t => {
+  const lookups = stubLookup(t, [{ address: '203.0.113.10', family: 4 }]);
+  const posts = stubPost(t);
+
+  assert.deepEqual(await postWebhook('https://10.0.0.1/hook', 'secret', { id: 'job' }), {
+    ok: false,
+    error: 'webhookUrl must point to a public host'
+  });
+  assert.equal(lookups.length, 0);
+  assert.equal(posts.length, 0);
+});
@@ -1,124 +1,533 @@
-// Trading analysis module using HyperLiquid API
-const axios = require('axios');
+// Trading analysis module; market data comes from a pluggable provider
+// (HyperLiquid by default, see marketData/)
+const { calculateIndicators } = require('./indicators');
+const { TIMEFRAME_MS, getMarketDataProvider, listMarketDataSources } = require('./marketData');
+const { getOrderBookLevels } = require('./orderBookAnalysis');
+const { calculateKeyLevels } = require('./levels');
+const { calculateConfidence } = require('./confidence');
 
-const HYPERLIQUID_API = 'https://api.hyperliquid.xyz/info';
+// Enough history for MACD(12/26/9) to warm up
+const CANDLE_LOOKBACK = 100;
+// Extra candles before the live window; the signal is replayed over them to
+// calibrate confidence against how it actually performed
+const CALIBRATION_BARS = 100;
+const CALIBRATION_HORIZON = 12;
+const MAX_TIMEFRAMES = 6;
+const MAX_SCAN_SYMBOLS = 25;
+const DEFAULT_SCAN_TOP = 10;
+const SCAN_SORT_KEYS = ['signal', 'volume', 'funding'];
+const LEVEL_SOURCES = ['candles', 'pivots', 'orderbook'];
 
-async function getTradingAnalysis(symbol, timeframe = '1h') {
-  try {
-    // Convert symbol to HyperLiquid format (e.g., BTC-PERP -> BTC)
-    const coin = symbol.replace('-PERP-INTX', '').replace('-PERP', '').replace('-USD', '');
-    
-    // Get current market data
-    const metaResponse = await axios.post(HYPERLIQUID_API, {
-      type: 'metaAndAssetCtxs'
-    });
-    
-    const [meta, contexts] = metaResponse.data;
-    const coinIndex = meta.universe.findIndex(u => u.name === coin);
-    
-    if (coinIndex === -1) {
-      return { error: `Symbol ${symbol} not found on HyperLiquid` };
-    }
-    
-    const ctx = contexts[coinIndex];
-    const markPrice = parseFloat(ctx.markPx);
-    const funding = parseFloat(ctx.funding);
-    const openInterest = parseFloat(ctx.openInterest);
-    const volume24h = parseFloat(ctx.dayNtlVlm);
-    
-    // Get candles for technical analysis
-    const now = Date.now();
-    const intervalMs = timeframe === '1h' ? 3600000 : timeframe === '4h' ? 14400000 : 86400000;
-    const lookback = 50;
-    const startTime = now - (intervalMs * lookback);
-    
-    const candlesResponse = await axios.post(HYPERLIQUID_API, {
-      type: 'candleSnapshot',
-      req: {
-        coin: coin,
-        interval: timeframe,
-        startTime: startTime,
-        endTime: now
-      }
+function unsupportedTimeframeError(symbol, timeframe, provider) {
+  return {
+    symbol,
+    timeframe,
+    error: `Unsupported timeframe ${timeframe} for ${provider.label}`,
+    code: 'invalid_request',
+    supportedTimeframes: provider.timeframes,
+    timestamp: new Date().toISOString()
+  };
+}
+
+function unknownSourceError(symbol, source) {
+  return {
+    symbol,
+    source,
+    error: `Unknown market data source ${source}`,
+    code: 'invalid_request',
+    supportedSources: listMarketDataSources(),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Validates levelsSource for a provider; returns an error body or null
+function levelsSourceError(symbol, levelsSource, provider) {
+  if (!LEVEL_SOURCES.includes(levelsSource)) {
+    return {
+      symbol,
+      levelsSource,
+      error: `Unsupported levelsSource ${levelsSource}`,
+      code: 'invalid_request',
+      supportedLevelsSources: LEVEL_SOURCES,
+      timestamp: new Date().toISOString()
+    };
+  }
+  if (levelsSource === 'orderbook' && !provider.getOrderBook) {
+    return {
+      symbol,
+      levelsSource,
+      error: `Order book data is not available from ${provider.label}`,
+      code: 'unprocessable',
+      timestamp: new Date().toISOString()
+    };
+  }
+  return null;
+}
+
+async function fetchCandles(provider, coin, timeframe) {
+  const now = Date.now();
+  const startTime = now - (TIMEFRAME_MS[timeframe] * (CANDLE_LOOKBACK + CALIBRATION_BARS));
+  return provider.getCandles(coin, timeframe, { startTime, endTime: now });
+}
+
+// Indicators, support/resistance and the resulting signal for the latest
+// candle of `candles` at `price`. Shared by live analysis and the backtester.
+//
+// support/resistance come from the 20-candle range by default; levelsSource
+// 'pivots' uses the strongest ranked pivot/volume-profile level on each side
+// and 'orderbook' the strongest liquidity wall (bookLevels), when there is one.
+//
+// Trend never depends on levels, so callers that only need trend can skip the
+// level computation with includeLevels: false.
+function evaluateSignal(candles, price, { levelsSource = 'candles', bookLevels = null, includeLevels = true } = {}) {
+  // Calculate indicator suite
+  const indicators = calculateIndicators(candles);
+
+  // Calculate support/resistance (simple method)
+  const lows = candles.map(c => parseFloat(c.l));
+  const highs = candles.map(c => parseFloat(c.h));
+  let support = Math.min(...lows.slice(-20));
+  let resistance = Math.max(...highs.slice(-20));
+
+  // Ranked levels from swing pivots and the volume profile
+  const levels = includeLevels ? calculateKeyLevels(candles, price) : null;
+
+  if (levelsSource === 'pivots' && levels) {
+    support = levels.supports.length ? levels.supports[0].price : support;
+    resistance = levels.resistances.length ? levels.resistances[0].price : resistance;
+  } else if (levelsSource === 'orderbook' && bookLevels) {
+    support = bookLevels.support != null ? bookLevels.support : support;
+    resistance = bookLevels.resistance != null ? bookLevels.resistance : resistance;
+  }
+
+  // Determine trend from all indicators
+  const { trend, recommendation, signalScore, signals } = deriveSignal({
+    price,
+    indicators,
+    support,
+    resistance
+  });
+
+  return { indicators, support, resistance, levels, trend, recommendation, signalScore, signals };
+}
+
+// Replay the trend call on every earlier bar that has a full lookback window
+function replaySignalHistory(candles) {
+  const closes = candles.map(c => parseFloat(c.c));
+  const history = [];
+  for (let i = CANDLE_LOOKBACK - 1; i < candles.length - 1; i++) {
+    const window = candles.slice(i - CANDLE_LOOKBACK + 1, i + 1);
+    const { trend, indicators } = evaluateSignal(window, closes[i], { includeLevels: false });
+    history.push({
+      trend,
+      atrPercent: indicators.atrPercent,
+      forwardReturn: i + CALIBRATION_HORIZON < candles.length
+        ? (closes[i + CALIBRATION_HORIZON] - closes[i]) / closes[i]
+        : null
     });
-    
-    const candles = candlesResponse.data;
-    
-    if (!candles || candles.length < 20) {
-      return { 
+  }
+  return history;
+}
+
+function analyzeCandles(symbol, timeframe, candles, market, provider, { levelsSource = 'candles', bookLevels = null } = {}) {
+  const { markPrice, funding, openInterest, volume24h } = market;
+
+  if (!candles || candles.length < 20) {
+    return {
+      symbol,
+      timeframe,
+      error: 'Insufficient candle data',
+      code: 'unprocessable',
+      currentPrice: markPrice,
+      fundingRate: funding,
+      openInterest,
+      volume24h,
+      dataSource: provider.label
+    };
+  }
+
+  // The live call uses the latest lookback window; anything older calibrates confidence
+  const {
+    indicators,
+    support,
+    resistance,
+    levels,
+    trend,
+    recommendation,
+    signalScore,
+    signals
+  } = evaluateSignal(candles.slice(-CANDLE_LOOKBACK), markPrice, { levelsSource, bookLevels });
+  const ema20 = indicators.ema20;
+  const priceVsEMA = ((markPrice - ema20) / ema20) * 100;
+
+  const { confidence, breakdown } = calculateConfidence({
+    trend,
+    signals,
+    indicators,
+    price: markPrice,
+    history: replaySignalHistory(candles)
+  });
+
+  return {
+    symbol,
+    timeframe,
+    currentPrice: markPrice,
+    ema20,
+    priceVsEMA: priceVsEMA.toFixed(2),
+    indicators,
+    support: support.toFixed(2),
+    resistance: resistance.toFixed(2),
+    levelsSource,
+    levels,
+    ...(bookLevels ? { liquidityWalls: bookLevels.walls } : {}),
+    trend,
+    recommendation,
+    signalScore,
+    signals,
+    confidence: confidence.toFixed(2),
+    confidenceBreakdown: breakdown,
+    fundingRate: funding != null ? (funding * 100).toFixed(4) : null,
+    openInterest: openInterest != null ? openInterest.toFixed(2) : null,
+    volume24h: Number.isFinite(volume24h) ? volume24h.toFixed(0) : null,
+    dataSource: provider.label,
+    timestamp: new Date().toISOString()
+  };
+}
+
+async function getTradingAnalysis(symbol, timeframe = '1h', source, { levelsSource = 'candles' } = {}) {
+  const provider = getMarketDataProvider(source);
+  if (!provider) {
+    return unknownSourceError(symbol, source);
+  }
+  if (!provider.timeframes.includes(timeframe)) {
+    return unsupportedTimeframeError(symbol, timeframe, provider);
+  }
+  const levelsError = levelsSourceError(symbol, levelsSource, provider);
+  if (levelsError) {
+    return levelsError;
+  }
+
+  try {
+    const market = await provider.getMarketContext(symbol);
+
+    if (!market) {
+      return {
         symbol,
         timeframe,
-        error: 'Insufficient candle data',
-        currentPrice: markPrice,
-        fundingRate: funding,
-        openInterest,
-        volume24h
+        error: `Symbol ${symbol} not found on ${provider.label}`,
+        code: 'not_found',
+        dataSource: provider.label,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const candles = await fetchCandles(provider, market.coin, timeframe);
+    const bookLevels = levelsSource === 'orderbook'
+      ? await getOrderBookLevels(provider, market.coin, market.markPrice)
+      : null;
+    return analyzeCandles(symbol, timeframe, candles, market, provider, { levelsSource, bookLevels });
+  } catch (error) {
+    return { 
+      symbol, 
+      timeframe, 
+      error: error.message,
+      code: 'upstream_error',
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Analyze several timeframes off a single universe fetch and score how well
+// they agree. Higher timeframes carry more weight in the confluence score.
+async function getMultiTimeframeAnalysis(symbol, timeframes, source, { levelsSource = 'candles' } = {}) {
+  const provider = getMarketDataProvider(source);
+  if (!provider) {
+    return unknownSourceError(symbol, source);
+  }
+  const levelsError = levelsSourceError(symbol, levelsSource, provider);
+  if (levelsError) {
+    return levelsError;
+  }
+
+  const requested = [...new Set(timeframes)];
+
+  if (requested.length === 0 || requested.length > MAX_TIMEFRAMES) {
+    return {
+      symbol,
+      timeframes: requested,
+      error: `Provide between 1 and ${MAX_TIMEFRAMES} timeframes`,
+      code: 'invalid_request',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const unsupported = requested.find(tf => !provider.timeframes.includes(tf));
+  if (unsupported) {
+    return unsupportedTimeframeError(symbol, unsupported, provider);
+  }
+
+  // Lowest to highest so the response reads naturally
+  requested.sort((a, b) => TIMEFRAME_MS[a] - TIMEFRAME_MS[b]);
+
+  try {
+    const market = await provider.getMarketContext(symbol);
+
+    if (!market) {
+      return {
+        symbol,
+        timeframes: requested,
+        error: `Symbol ${symbol} not found on ${provider.label}`,
+        code: 'not_found',
+        dataSource: provider.label,
+        timestamp: new Date().toISOString()
       };
     }
-    
-    // Calculate EMA20
-    const closes = candles.map(c => parseFloat(c.c));
-    const ema20 = calculateEMA(closes, 20);
-    
-    // Calculate support/resistance (simple method)
-    const lows = candles.map(c => parseFloat(c.l));
-    const highs = candles.map(c => parseFloat(c.h));
-    const support = Math.min(...lows.slice(-20));
-    const resistance = Math.max(...highs.slice(-20));
-    
-    // Determine trend
-    const priceVsEMA = ((markPrice - ema20) / ema20) * 100;
-    let trend = 'neutral';
-    let recommendation = 'Wait';
-    
-    if (priceVsEMA > 2) {
-      trend = 'bullish';
-      recommendation = markPrice > resistance * 0.98 ? 'Consider long on pullback' : 'Wait for breakout';
-    } else if (priceVsEMA < -2) {
-      trend = 'bearish';
-      recommendation = markPrice < support * 1.02 ? 'Consider short on bounce' : 'Wait for breakdown';
+
+    const bookLevels = levelsSource === 'orderbook'
+      ? await getOrderBookLevels(provider, market.coin, market.markPrice)
+      : null;
+
+    const analyses = {};
+    for (const timeframe of requested) {
+      try {
+        const candles = await fetchCandles(provider, market.coin, timeframe);
+        analyses[timeframe] = analyzeCandles(symbol, timeframe, candles, market, provider, {
+          levelsSource,
+          bookLevels
+        });
+      } catch (error) {
+        analyses[timeframe] = { symbol, timeframe, error: error.message, code: 'upstream_error' };
+      }
     }
-    
-    // Calculate confidence based on data quality
-    const confidence = Math.min(0.95, 0.5 + (candles.length / 100));
-    
+
+    return {
+      symbol,
+      timeframes: requested,
+      currentPrice: market.markPrice,
+      analyses,
+      confluence: calculateConfluence(analyses),
+      dataSource: provider.label,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
     return {
       symbol,
+      timeframes: requested,
+      error: error.message,
+      code: 'upstream_error',
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Number of symbols a scan request will analyze; also drives per-symbol pricing.
+function resolveScanSize({ symbols, top } = {}) {
+  if (Array.isArray(symbols) && symbols.length) {
+    return Math.min(new Set(symbols).size, MAX_SCAN_SYMBOLS);
+  }
+  const requestedTop = parseInt(top, 10);
+  if (Number.isFinite(requestedTop) && requestedTop > 0) {
+    return Math.min(requestedTop, MAX_SCAN_SYMBOLS);
+  }
+  return DEFAULT_SCAN_TOP;
+}
+
+// Analyze many symbols off a single universe fetch and rank the results.
+// Either pass `symbols`, or let the filters pick from the whole universe:
+// `top` (by 24h notional volume) and `minFunding` / `maxFunding`, in the same
+// percent units as `fundingRate` in the response.
+async function scanMarket({ symbols, top, minFunding, maxFunding, timeframe = '1h', sortBy = 'signal', source } = {}) {
+  const provider = getMarketDataProvider(source);
+  if (!provider) {
+    return unknownSourceError(undefined, source);
+  }
+  if (!provider.getUniverse) {
+    return {
+      source,
+      error: `Market scan is not supported for ${provider.label}`,
+      code: 'unprocessable',
+      timestamp: new Date().toISOString()
+    };
+  }
+  if (!provider.timeframes.includes(timeframe)) {
+    return unsupportedTimeframeError(undefined, timeframe, provider);
+  }
+  if (!SCAN_SORT_KEYS.includes(sortBy)) {
+    return {
+      sortBy,
+      error: `Unsupported sortBy ${sortBy}`,
+      code: 'invalid_request',
+      supportedSortBy: SCAN_SORT_KEYS,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const limit = resolveScanSize({ symbols, top });
+
+  try {
+    const universe = await provider.getUniverse();
+    let markets;
+    const notFound = [];
+
+    if (Array.isArray(symbols) && symbols.length) {
+      markets = [];
+      for (const symbol of [...new Set(symbols)].slice(0, limit)) {
+        const market = universe.find(m => provider.matchesSymbol(m, symbol));
+        if (market) {
+          markets.push({ symbol, market });
+        } else {
+          notFound.push(symbol);
+        }
+      }
+    } else {
+      const min = minFunding != null ? parseFloat(minFunding) / 100 : null;
+      const max = maxFunding != null ? parseFloat(maxFunding) / 100 : null;
+      markets = universe
+        .filter(m => Number.isFinite(m.markPrice) && m.markPrice > 0)
+        .filter(m => min == null || (m.funding != null && m.funding >= min))
+        .filter(m => max == null || (m.funding != null && m.funding <= max))
+        .sort((a, b) => b.volume24h - a.volume24h)
+        .slice(0, limit)
+        .map(market => ({ symbol: market.coin, market }));
+    }
+
+    const results = [];
+    for (const { symbol, market } of markets) {
+      try {
+        const candles = await fetchCandles(provider, market.coin, timeframe);
+        results.push(analyzeCandles(symbol, timeframe, candles, market, provider));
+      } catch (error) {
+        results.push({ symbol, timeframe, error: error.message, code: 'upstream_error' });
+      }
+    }
+
+    const rankValue = analysis => {
+      if (analysis.error) {
+        return -Infinity;
+      }
+      if (sortBy === 'volume') {
+        return parseFloat(analysis.volume24h);
+      }
+      if (sortBy === 'funding') {
+        return Math.abs(parseFloat(analysis.fundingRate) || 0);
+      }
+      return Math.abs(analysis.signalScore);
+    };
+    results.sort((a, b) => rankValue(b) - rankValue(a));
+
+    return {
       timeframe,
-      currentPrice: markPrice,
-      ema20,
-      priceVsEMA: priceVsEMA.toFixed(2),
-      support: support.toFixed(2),
-      resistance: resistance.toFixed(2),
-      trend,
-      recommendation,
-      confidence: confidence.toFixed(2),
-      fundingRate: (funding * 100).toFixed(4),
-      openInterest: openInterest.toFixed(2),
-      volume24h: volume24h.toFixed(0),
-      dataSource: 'HyperLiquid',
+      sortBy,
+      scanned: results.length,
+      notFound,
+      results: results.map((analysis, index) => ({ rank: index + 1, ...analysis })),
+      dataSource: provider.label,
       timestamp: new Date().toISOString()
     };
-    
   } catch (error) {
-    return { 
-      symbol, 
-      timeframe, 
+    return {
+      timeframe,
       error: error.message,
+      code: 'upstream_error',
       timestamp: new Date().toISOString()
     };
   }
 }
 
-function calculateEMA(prices, period) {
-  const multiplier = 2 / (period + 1);
-  let ema = prices[0];
-  
-  for (let i = 1; i < prices.length; i++) {
-    ema = (prices[i] - ema) * multiplier + ema;
+function calculateConfluence(analyses) {
+  let weightedScore = 0;
+  let totalWeight = 0;
+  const usable = [];
+
+  for (const [timeframe, analysis] of Object.entries(analyses)) {
+    if (analysis.error || typeof analysis.signalScore !== 'number') {
+      continue;
+    }
+    const weight = Math.log2(TIMEFRAME_MS[timeframe] / TIMEFRAME_MS['1m']) + 1;
+    weightedScore += analysis.signalScore * weight;
+    totalWeight += weight;
+    usable.push(analysis);
+  }
+
+  if (totalWeight === 0) {
+    return { score: null, overallBias: 'unknown', agreement: null, timeframesUsed: 0 };
+  }
+
+  const score = weightedScore / totalWeight;
+  const overallBias = score >= 0.3 ? 'bullish' : score <= -0.3 ? 'bearish' : 'neutral';
+  const agreeing = usable.filter(a => a.trend === overallBias).length;
+
+  return {
+    score: Number(score.toFixed(2)),
+    overallBias,
+    agreement: Number((agreeing / usable.length).toFixed(2)),
+    timeframesUsed: usable.length
+  };
+}
+
+// Each indicator votes -1 (bearish), 0 (neutral) or +1 (bullish); the
+// average vote decides the trend. ATR sets how close to a level the price
+// must be for the recommendation to treat it as near.
+function deriveSignal({ price, indicators, support, resistance }) {
+  const signals = {};
+  const { ema20, rsi14, macd, bollinger, vwap, atr14 } = indicators;
+  // One ATR, so the band widens with volatility; 2% of the level when there
+  // are too few candles for ATR
+  const nearBand = level => (atr14 != null ? atr14 : level * 0.02);
+
+  const priceVsEMA = ((price - ema20) / ema20) * 100;
+  signals.ema = priceVsEMA > 2 ? 1 : priceVsEMA < -2 ? -1 : 0;
+
+  if (rsi14 != null) {
+    signals.rsi = rsi14 > 55 ? 1 : rsi14 < 45 ? -1 : 0;
+  }
+  if (macd) {
+    signals.macd = macd.histogram > 0 ? 1 : macd.histogram < 0 ? -1 : 0;
   }
-  
-  return ema;
+  if (bollinger) {
+    signals.bollinger = price > bollinger.middle ? 1 : price < bollinger.middle ? -1 : 0;
+  }
+  if (vwap != null) {
+    signals.vwap = price > vwap ? 1 : price < vwap ? -1 : 0;
+  }
+
+  const votes = Object.values(signals);
+  const signalScore = votes.reduce((sum, v) => sum + v, 0) / votes.length;
+
+  let trend = 'neutral';
+  let recommendation = 'Wait';
+
+  if (signalScore >= 0.4) {
+    trend = 'bullish';
+    if (rsi14 != null && rsi14 > 70) {
+      recommendation = 'Overbought - wait for pullback';
+    } else {
+      recommendation = price > resistance - nearBand(resistance) ? 'Consider long on pullback' : 'Wait for breakout';
+    }
+  } else if (signalScore <= -0.4) {
+    trend = 'bearish';
+    if (rsi14 != null && rsi14 < 30) {
+      recommendation = 'Oversold - wait for bounce';
+    } else {
+      recommendation = price < support + nearBand(support) ? 'Consider short on bounce' : 'Wait for breakdown';
+    }
+  }
+
+  return {
+    trend,
+    recommendation,
+    signalScore: Number(signalScore.toFixed(2)),
+    signals
+  };
 }
 
-module.exports = { getTradingAnalysis };
+module.exports = {
+  getTradingAnalysis,
+  getMultiTimeframeAnalysis,
+  scanMarket,
+  resolveScanSize,
+  evaluateSignal,
+  deriveSignal,
+  CANDLE_LOOKBACK,
+  MAX_TIMEFRAMES
+};